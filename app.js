@@ -1,12 +1,14 @@
 // ==========================================
 // CONTRÔLEUR PRINCIPAL DE L'APPLICATION
 // ==========================================
+import { CONFIG } from './config.js';
 import { LoaderManager } from './loader-manager.js';
 import { LoaderManagerLite } from './loader-manager-lite.js';
 import { OrientationManager } from './orientation-manager.js';
 import { SmoothScrollManager } from './smooth-scroll-manager.js';
 import { SmoothScrollManagerLite } from './smooth-scroll-manager-lite.js';
 import { SliderManager } from './slider-manager.js';
+import { claimSliderMedia, releaseSliderMedia } from './slider-media.js';
 import { MenuManager } from './menu-manager.js';
 import { CmsFetchManager } from './cms-fetch-manager.js';
 import { ReviewCardManager } from './review-card-manager.js';
@@ -118,6 +120,8 @@ export class VVPlaceApp {
     if (!this.isMobileLite) {
       const sliderRoot = document.querySelector('.slider-panel_wrap') || document.querySelector('.slider-panel_list');
       if (sliderRoot) {
+        // Médias des slides chargés par SliderMedia, pas par loadDeferredMedia() (menu, CMS)
+        claimSliderMedia();
         const io = new IntersectionObserver(([e]) => {
           if (!e.isIntersecting) return;
           io.disconnect();
@@ -130,6 +134,7 @@ export class VVPlaceApp {
           } catch (error) {
             logger.error(' Erreur SliderManager (on-demand):', error);
             this.sliderManager = null;
+            releaseSliderMedia();
           }
 
           try {
@@ -141,6 +146,18 @@ export class VVPlaceApp {
             logger.error('❌ Erreur LoaderManager (on-demand):', error);
             this.loaderManager = null;
           }
+
+          // Après le loader : slide demandée par l'URL (CONFIG.SLIDER_URL), puis mode présentation éventuel
+          // En présentation (borne sans visiteur), le loader démarre seul au lieu d'attendre un clic
+          const slider = this.sliderManager;
+          if (slider?.autoplay.isRequested()) {
+            this.loaderManager?.scheduleSpecialFadeAutoStart(CONFIG.SLIDER_AUTOPLAY.LOADER_DELAY);
+          }
+          Promise.resolve(this.loaderManager?.whenComplete())
+            .then(() => slider?.urlSync.restoreAfter())
+            .catch(error => logger.warn(' Restauration de la slide depuis l\'URL échouée:', error))
+            .then(() => slider?.autoplay.startIfRequested())
+            .catch(error => logger.warn(' Mode présentation non démarré:', error));
         }, { rootMargin: '200px 0px' });
         io.observe(sliderRoot);
       } else {
@@ -166,11 +183,15 @@ export class VVPlaceApp {
         logger.menu(' Initialisation du MenuManager...');
         this.menuManager = new MenuManager(this.smoothScrollManager);
         this.menuManager.init().then(() => {
-          this.menuManager.setCmsFetchManager(new CmsFetchManager());
+          const cmsFetchManager = new CmsFetchManager();
+          this.registerInjectProcessors(cmsFetchManager);
+          this.menuManager.setCmsFetchManager(cmsFetchManager);
           logger.success(' MenuManager initialisé avec succès');
           if (this.loaderManager?.setMenuNavigationHandler) {
             this.loaderManager.setMenuNavigationHandler((panelName, options) => {
-              this.menuManager.navigateToPanel(panelName, options);
+              this.menuManager.navigateToPanel(panelName, options).catch(error => {
+                logger.warn(` Navigation menu depuis le loader impossible:`, error.message);
+              });
             });
           }
 
@@ -430,6 +451,20 @@ export class VVPlaceApp {
   }
 
   // checkRichTextElements supprimé (traitement toujours safe en utilitaire)
+
+  /**
+   * Enregistre les traitements appliqués à chaque contenu injecté dans un panel du menu
+   * (exécutés par le pipeline d'injection du CmsFetchManager, dans l'ordre indiqué)
+   * @param {CmsFetchManager} cmsFetchManager
+   */
+  registerInjectProcessors(cmsFetchManager) {
+    // Paires d'images desktop/mobile → <picture>
+    cmsFetchManager.registerProcessor('richtext-images', (root) => this.richtextResponsiveImages?.process(root), { order: 10 });
+    // Sources des figcaptions
+    cmsFetchManager.registerProcessor('richtext-figures', () => window.WindowUtils?.enhanceRichTextFigures?.(), { order: 20 });
+    // Médias différés (data-fetch-media)
+    cmsFetchManager.registerProcessor('deferred-media', () => window.WindowUtils?.loadDeferredMedia?.(), { order: 30 });
+  }
   
   /**
    * Initialise le menu de fallback en cas d'échec du MenuManager principal
@@ -1,46 +1,331 @@
+import { CONFIG } from './config.js';
+import { DossierCacheStore } from './dossier-cache-store.js';
+import { InjectionPipeline } from './injection-pipeline.js';
+import { LruCache, scaleForDevice } from './lru-cache.js';
+import { PAGINATION_SELECTORS, getCollectionLists, getNextPageUrl, findPaginatedLists } from './dossier-pagination.js';
+import logger from './logger.js';
+
+// Erreur de chargement d'une page Dossier (réseau, timeout, HTTP ou contenu absent)
+export class CmsFetchError extends Error {
+  constructor(message, { url, status = null, cause = null } = {}) {
+    super(message);
+    this.name = 'CmsFetchError';
+    this.url = url;
+    this.status = status;
+    this.cause = cause;
+  }
+}
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
 export class CmsFetchManager {
-  constructor() {
-    this._cache = new Map();   // url → DOMParser document
-    this._pending = new Map(); // url → Promise<void>
+  constructor({
+    store = new DossierCacheStore(),
+    retry = CONFIG.FETCH_RETRY,
+    pagination = CONFIG.FETCH_PAGINATION,
+    memory = CONFIG.MENU_MEMORY,
+    pipeline = new InjectionPipeline()
+  } = {}) {
+    // url → document réduit au fragment [data-panel-target], borné en nombre et en taille
+    this._cache = new LruCache({
+      maxEntries: scaleForDevice(memory.MAX_DOCUMENTS),
+      maxBytes: scaleForDevice(memory.MAX_BYTES),
+      sizeOf: (doc) => doc.body.innerHTML.length * 2 // UTF-16
+    });
+    this._pending = new Map();  // url → Promise<void>
+    this._failures = new Map(); // url → CmsFetchError du dernier essai
+    this._store = store;        // cache persistant (stale-while-revalidate)
+    this._retry = retry;
+    this._pagination = pagination;
+    this._loadMoreObservers = new WeakMap(); // bouton « Voir plus » → IntersectionObserver (mode 'infinite')
+    this.pipeline = pipeline;   // nettoyage, scripts, Webflow IX2 et processeurs post-injection
+    this.revision = 0;          // incrémenté à chaque document ajouté (invalidation des index dérivés)
+    // Pagination Webflow restante après le fetch → bouton « Voir plus »
+    this.pipeline.registerProcessor('pagination', (root, context) => this._setupPagination(root, context), { order: 5 });
   }
 
-  // Pre-fetch (fire-and-forget)
+  // Pre-fetch (fire-and-forget) — sert d'abord le cache persistant, puis le réseau
+  // La promesse retournée rejette en cas d'échec ; l'erreur est aussi relue par inject()/fetchDoc()
   prefetch(url) {
-    if (this._cache.has(url) || this._pending.has(url)) return;
-    const p = fetch(url)
-      .then(r => r.ok ? r.text() : Promise.reject())
-      .then(html => this._cache.set(url, new DOMParser().parseFromString(html, 'text/html')))
-      .catch(() => {})
+    if (this._cache.has(url)) return Promise.resolve();
+    if (this._pending.has(url)) return this._pending.get(url);
+    this._failures.delete(url);
+    const p = this._store.get(url)
+      .then(entry => {
+        if (!entry) return this._fetchFromNetwork(url);
+        this._remember(url, this._parse(entry.html));
+        // Entrée périmée : servie immédiatement, revalidée en arrière-plan
+        if (entry.isStale) this._fetchFromNetwork(url).catch(() => {});
+      })
+      .catch(error => {
+        this._failures.set(url, error);
+        throw error;
+      })
       .finally(() => this._pending.delete(url));
+    p.catch(() => {});
     this._pending.set(url, p);
+    return p;
+  }
+
+  // Fetch réseau de la page Dossier, pages suivantes fusionnées en mode 'merge'
+  async _fetchFromNetwork(url) {
+    const html = await this._fetchWithRetry(url);
+    const doc = this._parse(html);
+    const merged = this._pagination.MODE === 'merge' && await this._mergePages(url, doc);
+    this._remember(url, doc);
+    this._store.set(url, merged ? doc.documentElement.outerHTML : html);
+  }
+
+  // Fetch avec timeout (AbortController) et retries bornés à backoff exponentiel
+  async _fetchWithRetry(url) {
+    const { TIMEOUT, RETRIES, BACKOFF } = this._retry;
+    let lastError = null;
+    for (let attempt = 0; attempt <= RETRIES; attempt++) {
+      if (attempt > 0) await wait(BACKOFF * 2 ** (attempt - 1));
+      try {
+        return await this._fetchOnce(url, TIMEOUT);
+      } catch (error) {
+        lastError = error;
+        // 4xx : inutile de réessayer (page absente ou accès refusé)
+        if (error.status && error.status >= 400 && error.status < 500) break;
+      }
+    }
+    throw lastError;
+  }
+
+  async _fetchOnce(url, timeout) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+    try {
+      const r = await fetch(url, { signal: controller.signal });
+      if (!r.ok) throw new CmsFetchError(`HTTP ${r.status} pour ${url}`, { url, status: r.status });
+      return await r.text();
+    } catch (error) {
+      if (error instanceof CmsFetchError) throw error;
+      const message = error.name === 'AbortError' ? `Délai dépassé (${timeout}ms) pour ${url}` : `Échec réseau pour ${url}`;
+      throw new CmsFetchError(message, { url, cause: error });
+    } finally {
+      clearTimeout(timer);
+    }
   }
 
-  // Attend la fin du fetch, puis injecte dans le slot du panel
+  _parse(html) { return new DOMParser().parseFromString(html, 'text/html'); }
+
+  // ==========================================
+  // PAGINATION WEBFLOW
+  // ==========================================
+
+  /**
+   * Ajoute à chaque liste paginée du document les éléments de ses pages suivantes
+   * Au-delà de MAX_PAGES ou après un échec, le lien « suivant » pointe sur la première
+   * page manquante (proposée ensuite via « Voir plus »)
+   * @param {string} url - URL de la première page
+   * @param {Document} doc
+   * @returns {Promise<boolean>} true si le document a été modifié
+   */
+  async _mergePages(url, doc) {
+    const target = doc.querySelector('[data-panel-target]');
+    const lists = target ? findPaginatedLists(target, url) : [];
+    for (const { listIndex, list, nextUrl } of lists) {
+      const items = list.querySelector(PAGINATION_SELECTORS.ITEMS);
+      let pageUrl = nextUrl;
+      for (let page = 2; items && pageUrl && page <= this._pagination.MAX_PAGES; page++) {
+        try {
+          const pageDoc = this._parse(await this._fetchWithRetry(pageUrl));
+          const pageList = this._findPageList(pageDoc, listIndex);
+          if (!pageList) break;
+          items.append(...this._pageItems(pageList).map(item => doc.importNode(item, true)));
+          pageUrl = getNextPageUrl(pageList, pageUrl);
+        } catch (error) {
+          logger.warn(` Page ${page} non fusionnée (${pageUrl}):`, error.message);
+          break;
+        }
+      }
+      const wrapper = list.querySelector(PAGINATION_SELECTORS.WRAPPER);
+      if (!pageUrl) wrapper?.remove();
+      else wrapper?.querySelector(PAGINATION_SELECTORS.NEXT)?.setAttribute('href', pageUrl);
+    }
+    return lists.length > 0;
+  }
+
+  _findPageList(doc, listIndex) {
+    return getCollectionLists(doc.querySelector('[data-panel-target]') || doc.body)[listIndex] || null;
+  }
+
+  _pageItems(list) {
+    return Array.from(list.querySelector(PAGINATION_SELECTORS.ITEMS)?.children || []);
+  }
+
+  // Processeur : remplace les blocs de pagination restants par un bouton « Voir plus »
+  // (les liens Webflow navigueraient hors du menu)
+  _setupPagination(root, { url, items }) {
+    if (items || !url) return;
+    findPaginatedLists(root, url).forEach(({ listIndex, list, nextUrl }) => {
+      list.querySelector(PAGINATION_SELECTORS.WRAPPER)?.replaceWith(this._createLoadMore(listIndex, nextUrl));
+    });
+    root.querySelectorAll(PAGINATION_SELECTORS.WRAPPER).forEach(wrapper => wrapper.remove());
+  }
+
+  _createLoadMore(listIndex, nextUrl) {
+    const control = document.createElement('div');
+    control.className = 'menu_panel_load_more';
+    control.dataset.listIndex = listIndex;
+    control.dataset.nextPage = nextUrl;
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'menu_panel_load_more_button';
+    button.textContent = this._pagination.LOAD_MORE_LABEL;
+    button.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.loadNextPage(control);
+    });
+    control.appendChild(button);
+    if (this._pagination.MODE === 'infinite') this._observeLoadMore(control);
+    return control;
+  }
+
+  // Mode 'infinite' : chargement dès que le bouton approche du bas du panel (scroll du slot)
+  _observeLoadMore(control) {
+    if (typeof IntersectionObserver === 'undefined') return;
+    // Le bouton n'est dans le slot qu'après le remplacement de la pagination
+    requestAnimationFrame(() => {
+      if (!control.isConnected) return;
+      const observer = new IntersectionObserver(async (entries) => {
+        if (!entries.some(entry => entry.isIntersecting) || !control.isConnected) return;
+        const loaded = await this.loadNextPage(control);
+        // Bouton encore visible après l'ajout : ré-observer pour enchaîner la page suivante
+        if (loaded && control.isConnected) {
+          observer.unobserve(control);
+          observer.observe(control);
+        }
+      }, { root: control.closest('.menu_panel_item_middle'), rootMargin: this._pagination.ROOT_MARGIN });
+      observer.observe(control);
+      this._loadMoreObservers.set(control, observer);
+    });
+  }
+
+  /**
+   * Charge la page suivante d'une liste paginée et l'ajoute au panel
+   * @param {HTMLElement} control - Bloc .menu_panel_load_more créé à l'injection
+   * @returns {Promise<boolean>} true si des éléments ont été ajoutés
+   */
+  async loadNextPage(control) {
+    const slot = control.closest('.menu_panel_item_middle');
+    const pageUrl = control.dataset.nextPage;
+    if (!slot || !pageUrl || control.classList.contains('is-loading')) return false;
+    control.classList.add('is-loading');
+    control.classList.remove('is-error');
+    try {
+      // Terminer d'abord le rendu par lots de la page courante (ordre des éléments)
+      await this.pipeline.whenRendered(slot);
+      const doc = await this.fetchDoc(pageUrl);
+      if (!doc) throw this._failures.get(pageUrl) || new CmsFetchError(`Aucun document pour ${pageUrl}`, { url: pageUrl });
+      const listIndex = Number(control.dataset.listIndex);
+      const pageList = this._findPageList(doc, listIndex);
+      const liveItems = getCollectionLists(slot)[listIndex]?.querySelector(PAGINATION_SELECTORS.ITEMS);
+      if (!pageList || !liveItems) throw new CmsFetchError(`Liste paginée introuvable dans ${pageUrl}`, { url: pageUrl });
+
+      const added = this.pipeline.appendItems(this._pageItems(pageList), liveItems, { url: pageUrl });
+      const nextUrl = getNextPageUrl(pageList, pageUrl);
+      if (nextUrl) {
+        control.dataset.nextPage = nextUrl;
+      } else {
+        this._loadMoreObservers.get(control)?.disconnect();
+        control.remove();
+      }
+      return added.length > 0;
+    } catch (error) {
+      control.classList.add('is-error');
+      logger.warn(` Page suivante non chargée (${pageUrl}):`, error.message);
+      return false;
+    } finally {
+      control.classList.remove('is-loading');
+    }
+  }
+
+  _remember(url, doc) {
+    this._cache.set(url, this._compact(doc));
+    this.revision++;
+  }
+
+  // Ne garde du document que le fragment [data-panel-target] et le titre de la page Dossier
+  _compact(doc) {
+    const compact = document.implementation.createHTMLDocument('');
+    const source = doc.querySelector('[data-panel-target]');
+    const title = doc.querySelector('[data-panel-title], .menu_panel_item_title, h1');
+    if (title && !source?.contains(title)) compact.body.appendChild(compact.importNode(title, true));
+    if (source) compact.body.appendChild(compact.importNode(source, true));
+    return compact;
+  }
+
+  // Document déjà en cache mémoire, sans déclencher de fetch ni compter comme un usage (null sinon)
+  getCachedDoc(url) { return this._cache.peek(url) || null; }
+
+  // Documents actuellement en cache mémoire : [url, document][] (lecture seule, ex : recherche)
+  cachedDocuments() { return this._cache.entries(); }
+
+  // Occupation du cache mémoire (entrées, octets estimés, hits/misses, évictions) — voir DebugUtils
+  memoryStats() { return this._cache.stats(); }
+
+  // Vide les caches mémoire et persistant (ex : après une mise à jour du CMS)
+  clearCache() {
+    this._cache.clear();
+    this._failures.clear();
+    return this._store.clear();
+  }
+
+  /**
+   * Enregistre un traitement exécuté sur chaque contenu injecté (voir InjectionPipeline)
+   * @param {string} name
+   * @param {Function} processor - (root, { url }) => void
+   * @param {Object} options - { order }
+   */
+  registerProcessor(name, processor, options) {
+    this.pipeline.registerProcessor(name, processor, options);
+  }
+
+  // Attend la fin du fetch, puis injecte dans le slot du panel via le pipeline d'injection
+  // Résout dès le premier lot rendu (voir whenRendered) ; false si la page n'a pas de
+  // [data-panel-target] et que le panel garde un contenu rendu par Webflow. Rejette avec une
+  // CmsFetchError si la page n'a pas pu être chargée, ou si un panel vide (dynamique) n'a rien à afficher
   async inject(url, panelEl) {
     if (this._pending.has(url)) await this._pending.get(url);
     const doc = this._cache.get(url);
-    if (!doc) return false;
+    if (!doc) throw this._failures.get(url) || new CmsFetchError(`Aucun document pour ${url}`, { url });
 
     const slot = panelEl.querySelector('.menu_panel_item_middle');
     if (!slot || slot.dataset.fetched) return false;
 
     const source = doc.querySelector('[data-panel-target]');
-    if (!source) return false;
+    if (!source) {
+      if (!panelEl.classList.contains('is-dynamic') && slot.children.length) return false;
+      throw new CmsFetchError(`[data-panel-target] absent de ${url}`, { url });
+    }
 
-    slot.innerHTML = source.innerHTML;
+    this.pipeline.inject(source, slot, { url });
     slot.dataset.fetched = url;
     return true;
   }
 
+  /**
+   * Attend que le contenu injecté dans un panel soit entièrement rendu (lots différés inclus)
+   * @param {HTMLElement} panelEl - Élément .menu_panel_item
+   * @returns {Promise<void>}
+   */
+  whenRendered(panelEl) {
+    const slot = panelEl?.querySelector('.menu_panel_item_middle');
+    return slot ? this.pipeline.whenRendered(slot) : Promise.resolve();
+  }
+
   async fetchAndInject(url, panelEl) {
     this.prefetch(url);
     return this.inject(url, panelEl);
   }
 
-  // Récupère le document fetchée sans l'injecter dans le DOM
+  // Récupère le document fetchée sans l'injecter dans le DOM (null en cas d'échec)
   async fetchDoc(url) {
     this.prefetch(url);
-    if (this._pending.has(url)) await this._pending.get(url);
+    if (this._pending.has(url)) await this._pending.get(url).catch(() => {});
     return this._cache.get(url) || null;
   }
 }
@@ -20,6 +20,170 @@ export const CONFIG = {
   // Préfixe pour les URLs des pages Dossier fetchées
   FETCH_BASE_PATH: '/menu-dossier',
 
+  // Cache persistant des pages Dossier (stale-while-revalidate)
+  FETCH_CACHE: {
+    ENABLED: true,
+    NAME: 'vv-menu-dossiers',                   // Préfixe du cache (Cache Storage)
+    VERSION: 'v1',                              // À incrémenter pour invalider le cache de tous les visiteurs
+    TTL: 12 * 60 * 60 * 1000                    // Durée de fraîcheur (ms) avant revalidation en arrière-plan
+  },
+
+  // Timeout et retries des fetchs de pages Dossier
+  FETCH_RETRY: {
+    TIMEOUT: 8000,                              // Abandon d'une requête après ce délai (ms)
+    RETRIES: 2,                                 // Nombre de nouvelles tentatives après un échec réseau/5xx
+    BACKOFF: 500                                // Délai initial entre tentatives (ms), doublé à chaque essai
+  },
+
+  // Collection Lists paginées par Webflow (100 éléments par page) dans les pages Dossier
+  FETCH_PAGINATION: {
+    MODE: 'merge',                              // 'merge' (toutes les pages fusionnées au fetch), 'load-more' ou 'infinite'
+    MAX_PAGES: 10,                              // Pages suivies au maximum par liste (mode 'merge')
+    LOAD_MORE_LABEL: 'Voir plus',               // Libellé du bouton (modes 'load-more' et 'infinite')
+    ROOT_MARGIN: '0px 0px 400px 0px'            // Anticipation du chargement en mode 'infinite'
+  },
+
+  // Bornes mémoire du menu (téléphones modestes, voir CrashDetector)
+  MENU_MEMORY: {
+    MAX_DOCUMENTS: 40,                          // Pages Dossier gardées en mémoire (LRU, relues ensuite du cache persistant)
+    MAX_BYTES: 4 * 1024 * 1024,                 // Taille estimée cumulée des fragments [data-panel-target] gardés
+    MAX_DYNAMIC_PANELS: 6,                      // Panels dynamiques fermés conservés dans .menu_wrap
+    LOW_MEMORY_DEVICE: 2                        // Bornes divisées par 2 si navigator.deviceMemory (Go) ≤ cette valeur
+  },
+
+  // Pipeline d'injection du HTML des pages Dossier (voir injection-pipeline.js)
+  INJECTION: {
+    SANITIZE: true,                             // Nettoyage par liste blanche (balises, attributs, URLs)
+    ALLOWED_IFRAME_HOSTS: [                     // Iframes d'embed conservées (https uniquement)
+      'www.youtube.com', 'www.youtube-nocookie.com', 'player.vimeo.com', 'www.google.com'
+    ],
+    SCRIPTS: {
+      ENABLED: false,                           // Ré-exécution des <script> autorisés ci-dessous
+      ALLOWED_SRC: [],                          // Préfixes d'URL autorisés (ex : 'https://cdn.jsdelivr.net/npm/')
+      INLINE_ATTRIBUTE: 'data-vv-script'        // Script inline exécuté seulement s'il porte cet attribut
+    },
+    WEBFLOW_IX2: true,                          // Réinitialise les interactions Webflow après injection
+    CHUNK: {
+      ENABLED: true,                            // Rendu par lots des longues listes (temps idle)
+      LIST_SELECTOR: '.menu_panel_collection_list',
+      MIN_ITEMS: 30,                            // Listes plus courtes injectées d'un coup
+      INITIAL_ITEMS: 12,                        // Éléments rendus immédiatement
+      BATCH_SIZE: 20                            // Éléments ajoutés par période idle
+    },
+    VIRTUALIZE: {
+      ENABLED: false,                           // Rendu des éléments hors écran différé par le navigateur (content-visibility)
+      MIN_ITEMS: 100,                           // Seuil d'application (ou attribut data-virtualize sur la liste)
+      ESTIMATED_HEIGHT: 320                     // Hauteur réservée (px) si le premier élément n'est pas mesurable
+    }
+  },
+
+  // Manifest optionnel de l'arborescence du menu (généré par scripts/build-menu-manifest.mjs)
+  // Si présent, remplace le crawl de découverte au démarrage
+  MENU_MANIFEST: {
+    INLINE_SELECTOR: '#vv-menu-manifest',       // <script type="application/json" id="vv-menu-manifest">
+    URL: null                                   // Ou URL d'un fichier JSON hébergé (ex : CDN)
+  },
+
+  // Crawl de l'arborescence des Dossiers (préchauffage + découverte de chemins)
+  MENU_CRAWL: {
+    CONCURRENCY: 2,                             // Fetchs simultanés maximum
+    MAX_DEPTH: 3,                               // Profondeur explorée sous les Dossiers racine
+    IDLE_TIMEOUT: 2000                          // Attente max d'une période idle pour le préchauffage (ms)
+  },
+
+  // Séquence d'animation du loader (voir loader-sequence.js) : surcharges depuis Webflow
+  LOADER_SEQUENCE: {
+    INLINE_SELECTOR: '#vv-loader-sequence',     // <script type="application/json" id="vv-loader-sequence">
+    PRESET_ATTRIBUTE: 'data-loader-preset',     // Sur .loader_wrap : preset du bloc JSON, « a|b » pour un test A/B
+    SPEED_ATTRIBUTE: 'data-loader-speed',       // Sur .loader_wrap : facteur de vitesse (2 = deux fois plus rapide)
+    STORAGE_KEY: 'vv-loader-preset'             // Preset A/B mémorisé pour le visiteur (localStorage)
+  },
+
+  // Reflet des panels ouverts dans l'URL (liens profonds + bouton retour)
+  MENU_URL: {
+    MODE: 'hash',     // 'hash' → #/urbanisme/quartiers | 'query' → ?menu=urbanisme/quartiers
+    PARAM: 'menu'     // Nom du paramètre en mode 'query'
+  },
+
+  // Recherche dans le menu (titres des Dossiers + contenu des pages en cache)
+  MENU_SEARCH: {
+    ENABLED: true,
+    MIN_QUERY_LENGTH: 2,                        // Nombre de caractères avant de lancer la recherche
+    MAX_RESULTS: 20,
+    DEBOUNCE: 150,                              // Délai de frappe avant recherche (ms)
+    ITEM_SELECTOR: '[data-search-item], .w-dyn-item', // Éléments de contenu indexés (cartes Articles, Presse…)
+    HIGHLIGHT_DURATION: 2500                    // Durée de la mise en évidence du résultat ouvert (ms)
+  },
+
+  // Swipe de fermeture des panels du menu (écrans tactiles)
+  MENU_SWIPE: {
+    ENABLED: true,
+    THRESHOLD: 0.35,                            // Fraction de la largeur du panel à dépasser pour fermer
+    VELOCITY: 0.5,                              // Vitesse (px/ms) d'un geste rapide qui ferme quelle que soit la distance
+    SLOP: 10,                                   // Déplacement (px) avant de décider entre swipe horizontal et scroll vertical
+    EDGE_WIDTH: 24,                             // Bande (px) au bord droit du panel où le swipe est toujours capté
+    IGNORE_SELECTOR: '.swiper, [data-swipe-ignore]' // Zones à geste horizontal propre (hors bande de bord)
+  },
+
+  // Navigation du slider (API next/prev/goTo, clavier, clic sur les catégories)
+  SLIDER_NAV: {
+    KEYBOARD: true,                             // Flèches, PageUp/PageDown, Début/Fin
+    CLICKABLE_CATEGORIES: true,                 // Clic sur .indicators_item → première slide de la catégorie
+    DURATION: 1.2,                              // Durée du défilement vers une slide (s)
+    IGNORE_SELECTOR: 'input, textarea, select, [contenteditable="true"]' // Cibles où le clavier n'est pas capté
+  },
+
+  // Indicateur de progression du slider (.indicators_scroller_line_wrap)
+  SLIDER_INDICATOR: {
+    SEGMENTS: true,                             // Un segment par catégorie + progression globale (false = boule dans la catégorie active)
+    DRAGGABLE: true                             // Glisser la boule ou cliquer la ligne pour parcourir les slides
+  },
+
+  // Filtre des slides par catégorie ou tag (voir slider-filter.js)
+  SLIDER_FILTER: {
+    TAG_MATCH: 'any'                            // 'any' : au moins un des tags choisis, 'all' : tous
+  },
+
+  // Chargement des médias des slides au fil du scroll (desktop, voir slider-media.js)
+  SLIDER_MEDIA: {
+    ENABLED: true,
+    NEIGHBOURS: 1,                              // Slides voisines de la slide active chargées d'avance (de chaque côté)
+    UNLOAD_DISTANCE: 3                          // Vidéos déchargées au-delà de cette distance (en slides) ; en pause dès la sortie des voisines
+  },
+
+  // Glisser-déplacer à la souris sur .slider-panel_list (slider horizontal, voir slider-drag.js)
+  SLIDER_DRAG: {
+    ENABLED: true,
+    THRESHOLD: 6,                               // Déplacement (px) avant qu'un clic devienne un glisser
+    INERTIA: 250,                               // Projection de l'élan au relâchement (ms de vitesse conservée)
+    IGNORE_SELECTOR: 'input, textarea, select, video, [data-slider-drag-ignore]' // Zones où le glisser n'est pas capté
+  },
+
+  // Slides ajoutées ou retirées après l'init (Finsweet, CMS) : voir slider-observer.js
+  SLIDER_OBSERVER: {
+    ENABLED: true,
+    DEBOUNCE: 150                               // Regroupe les ajouts successifs (ms) avant la mise à jour
+  },
+
+  // Reflet de la slide active dans l'URL (liens partageables) — restaurée après le loader
+  SLIDER_URL: {
+    ENABLED: false,
+    SLIDE_PARAM: 'slide',                       // ?slide=<slug ou data-slider-order>
+    CATEGORY_PARAM: 'category',                 // &category=<data-slider-category>
+    SLUG_ATTRIBUTE: 'data-slider-slug',         // Identifiant lisible d'une slide (sinon data-slider-order)
+    WRITE_DELAY: 300                            // Attente (ms) avant de réécrire l'URL pendant le scroll
+  },
+
+  // Mode présentation du slider (salons, bornes) : avance seul et boucle via la slide .is-first
+  SLIDER_AUTOPLAY: {
+    INTERVAL: 6000,                             // Durée d'affichage d'une slide (ms)
+    RESUME_DELAY: 10000,                        // Reprise après la dernière interaction (ms), 0 = arrêt définitif
+    HIDE_NAV: false,                            // Masque .nav_wrap pendant la présentation
+    LOADER_DELAY: 1500,                         // Lancement automatique du loader quand la présentation est demandée (ms)
+    BODY_ATTRIBUTE: 'data-slider-autoplay',     // <body data-slider-autoplay> ou ="8000" (intervalle en ms)
+    URL_PARAM: 'presentation'                   // ?presentation ou ?presentation=8000
+  },
+
   // Sélecteurs CSS utilisés dans l'application
   SELECTORS: {
     SLIDER_ITEM: ".slider-panel_item",                                  // Chaque slide du slider
@@ -27,6 +191,9 @@ export const CONFIG = {
     CATEGORIES: ".indicators_item",                                     // Éléments de catégories dans les indicateurs
     INDICATOR_BALL: ".indicators_scroller_line_ball",                   // Boule de progression sur la ligne d'indicateur
     INDICATOR_TRACK: ".indicators_scroller_line_wrap",                  // Ligne de progression de l'indicateur
+    SLIDER_FILTER_CATEGORY: "[data-slider-filter-category]",            // Bouton de filtre par catégorie (valeur = slug)
+    SLIDER_FILTER_TAG: "[data-slider-filter-tag]",                      // Bouton de filtre par tag
+    SLIDER_FILTER_RESET: "[data-slider-filter-reset]",                  // Bouton « Tout afficher »
     MENU_WRAP: ".menu_wrap",                                            // Container principal du menu
     MENU_EXIT: ".menu_exit:not(.is-all)",                               // Bouton de fermeture des panels individuels du menu
     MENU_EXIT_ALL: ".menu_exit.is-all",                                 // Bouton de fermeture de tous
@@ -35,6 +202,8 @@ export const CONFIG = {
     MENU_FIRST_PANEL_ITEM: ".menu_panel.is-col-1 .menu_panel_item",     // Items du premier panneau
     MENU_PANEL_ITEMS: ".menu_panel .menu_panel_item",                   // Items de tous les panneaux
     MENU_FOLDERS: ".menu_panel_collection_item.is-btn",                 // Items de type dossier dans le menu
+    MENU_BREADCRUMB: "[data-menu-breadcrumb]",                          // Fil d'Ariane du menu (créé en tête du menu si absent)
+    MENU_SEARCH: "[data-menu-search]",                                  // Bloc de recherche (créé dans le premier panel si absent)
     // Sélecteurs pour les modales
     MODAL_TRIGGERS: "[data-modal-trigger]",                             // Éléments déclencheurs de modales
     MODAL_ITEMS: "[data-modal-item]",                                   // Éléments modales
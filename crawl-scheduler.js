@@ -0,0 +1,133 @@
+// ==========================================
+// CrawlScheduler - File de tâches de crawl à concurrence limitée
+// Partagée par le préchauffage du menu et la découverte de chemins :
+// priorités (plus petit = plus urgent), dédoublonnage par clé,
+// exécution en temps idle pour les tâches de fond, annulation
+// ==========================================
+
+// Niveaux de priorité (même convention que OrientationManager : plus petit = traité en premier)
+export const CRAWL_PRIORITY = {
+  USER: 0,        // Survol / ouverture explicite par l'utilisateur
+  NAVIGATION: 1,  // Découverte de chemin pour une navigation en cours
+  WARMUP: 10      // Préchauffage de fond (exécuté en temps idle)
+};
+
+const requestIdle = (cb, timeout) => (
+  typeof window.requestIdleCallback === 'function'
+    ? window.requestIdleCallback(cb, { timeout })
+    : setTimeout(cb, 200)
+);
+
+export class CrawlScheduler {
+  /**
+   * @param {Object} options
+   * @param {number} options.concurrency - Nombre maximum de tâches simultanées
+   * @param {number} options.idleTimeout - Délai max d'attente d'une période idle (ms)
+   * @param {number} options.idleThreshold - Priorité à partir de laquelle une tâche attend le temps idle
+   */
+  constructor({ concurrency = 2, idleTimeout = 2000, idleThreshold = CRAWL_PRIORITY.WARMUP } = {}) {
+    this.concurrency = Math.max(1, concurrency);
+    this.idleTimeout = idleTimeout;
+    this.idleThreshold = idleThreshold;
+    this._queue = [];          // entrées en attente
+    this._entries = new Map(); // clé → entrée (en attente ou en cours)
+    this._running = 0;
+    this._idleRequested = false;
+  }
+
+  /**
+   * Planifie une tâche ; si la clé est déjà planifiée, remonte sa priorité et partage la promesse
+   * @param {string} key - Identifiant de dédoublonnage (ex : slug du panel)
+   * @param {Function} task - Fonction retournant une promesse
+   * @param {number} priority - Voir CRAWL_PRIORITY
+   * @returns {Promise<*>} Résultat de la tâche ; rejette avec une AbortError si annulée
+   */
+  schedule(key, task, priority = CRAWL_PRIORITY.WARMUP) {
+    const existing = this._entries.get(key);
+    if (existing) {
+      this.bump(key, priority);
+      return existing.promise;
+    }
+    const entry = { key, task, priority, started: false };
+    entry.promise = new Promise((resolve, reject) => {
+      entry.resolve = resolve;
+      entry.reject = reject;
+    });
+    this._entries.set(key, entry);
+    this._queue.push(entry);
+    this._pump();
+    return entry.promise;
+  }
+
+  // Remonte la priorité d'une tâche en attente (sans effet si déjà lancée ou inconnue)
+  bump(key, priority) {
+    const entry = this._entries.get(key);
+    if (!entry || entry.started || priority >= entry.priority) return false;
+    entry.priority = priority;
+    this._pump();
+    return true;
+  }
+
+  /**
+   * Annule les tâches en attente (les tâches déjà lancées vont à leur terme)
+   * @param {Function} predicate - Filtre des entrées à annuler
+   * @returns {number} Nombre de tâches annulées
+   */
+  cancel(predicate = () => true) {
+    const cancelled = this._queue.filter(predicate);
+    this._queue = this._queue.filter(entry => !cancelled.includes(entry));
+    cancelled.forEach(entry => {
+      this._entries.delete(entry.key);
+      entry.reject(new DOMException(`Crawl annulé : ${entry.key}`, 'AbortError'));
+    });
+    return cancelled.length;
+  }
+
+  // Statistiques pour le debug
+  getStats() {
+    return { queued: this._queue.length, running: this._running, concurrency: this.concurrency };
+  }
+
+  _takeNext() {
+    let best = 0;
+    for (let i = 1; i < this._queue.length; i++) {
+      if (this._queue[i].priority < this._queue[best].priority) best = i;
+    }
+    return this._queue[best];
+  }
+
+  _pump(fromIdle = false) {
+    while (this._running < this.concurrency && this._queue.length) {
+      const next = this._takeNext();
+      // Tâches de fond : attendre que le navigateur soit idle (ne pas concurrencer le loader)
+      if (!fromIdle && next.priority >= this.idleThreshold) {
+        this._requestIdlePump();
+        return;
+      }
+      this._queue.splice(this._queue.indexOf(next), 1);
+      this._start(next);
+    }
+  }
+
+  _requestIdlePump() {
+    if (this._idleRequested) return;
+    this._idleRequested = true;
+    requestIdle(() => {
+      this._idleRequested = false;
+      this._pump(true);
+    }, this.idleTimeout);
+  }
+
+  _start(entry) {
+    entry.started = true;
+    this._running++;
+    Promise.resolve()
+      .then(() => entry.task())
+      .then(entry.resolve, entry.reject)
+      .finally(() => {
+        this._running--;
+        this._entries.delete(entry.key);
+        this._pump();
+      });
+  }
+}
@@ -299,8 +299,54 @@ export class DebugUtils {
         logger.warn(' ALERTE: Utilisation mémoire élevée (>80%)');
       }
     }
+
+    this.checkMenuMemory();
+    this.checkSliderMedia();
+  }
+
+  /**
+   * Occupation du cache des pages Dossier (LRU) et des panels dynamiques du menu
+   * @returns {Object|null} Voir MenuManager.getMemoryStats()
+   */
+  static checkMenuMemory() {
+    const stats = window.app?.menuManager?.getMemoryStats?.();
+    if (!stats) {
+      logger.log('📚 Menu : non initialisé');
+      return null;
+    }
+    const { documents } = stats;
+    if (documents) {
+      logger.log('📚 Cache des Dossiers:', {
+        entries: `${documents.entries} / ${documents.maxEntries}`,
+        size: `${Math.round(documents.bytes / 1024)} KB / ${Math.round(documents.maxBytes / 1024)} KB`,
+        hits: documents.hits,
+        misses: documents.misses,
+        evictions: documents.evictions
+      });
+    }
+    logger.log('🗂️ Panels dynamiques:', `${stats.dynamicPanels} (max ${stats.maxDynamicPanels} fermés)`, '| Boutons CMS:', stats.cmsButtons);
+    return stats;
   }
   
+  /**
+   * Médias du slider : slides « chaudes » (active + voisines), chargées et vidéos en lecture
+   * @returns {Object|null} Voir SliderMedia.stats()
+   */
+  static checkSliderMedia() {
+    const media = window.app?.sliderManager?.media;
+    if (!media?.isActive) {
+      logger.log('🎞️ Médias du slider : gestion inactive (mobile ou désactivée)');
+      return null;
+    }
+    const stats = media.stats();
+    logger.log('🎞️ Médias du slider:', {
+      hot: `${stats.hot} / ${stats.total}`,
+      loaded: stats.loaded,
+      playing: stats.playing
+    });
+    return stats;
+  }
+
   /**
    * Détecte les boucles infinies potentielles
    */
@@ -0,0 +1,80 @@
+// ==========================================
+// DossierCacheStore - Cache persistant des pages Dossier (Cache Storage)
+// Conserve le HTML fetché entre deux visites ; la fraîcheur est gérée
+// par CmsFetchManager (stale-while-revalidate)
+// ==========================================
+import { CONFIG } from './config.js';
+import logger from './logger.js';
+
+const CACHED_AT_HEADER = 'x-vv-cached-at';
+
+export class DossierCacheStore {
+  constructor(options = CONFIG.FETCH_CACHE) {
+    this.enabled = !!options.ENABLED && typeof window !== 'undefined' && 'caches' in window;
+    this.prefix = options.NAME;
+    this.cacheName = `${options.NAME}-${options.VERSION}`;
+    this.ttl = options.TTL;
+    this._cachePromise = null;
+  }
+
+  // Ouvre le cache de la version courante et purge les versions précédentes
+  _open() {
+    if (!this.enabled) return Promise.resolve(null);
+    if (!this._cachePromise) {
+      this._cachePromise = caches.keys()
+        .then(keys => Promise.all(keys
+          .filter(key => key.startsWith(`${this.prefix}-`) && key !== this.cacheName)
+          .map(key => caches.delete(key))))
+        .then(() => caches.open(this.cacheName))
+        .catch((error) => {
+          logger.warn(' DossierCacheStore indisponible:', error);
+          this.enabled = false;
+          return null;
+        });
+    }
+    return this._cachePromise;
+  }
+
+  /**
+   * Lit une page en cache
+   * @param {string} url
+   * @returns {Promise<{html: string, cachedAt: number, isStale: boolean}|null>}
+   */
+  async get(url) {
+    const cache = await this._open();
+    if (!cache) return null;
+    try {
+      const response = await cache.match(url);
+      if (!response) return null;
+      const cachedAt = Number(response.headers.get(CACHED_AT_HEADER)) || 0;
+      const html = await response.text();
+      return { html, cachedAt, isStale: Date.now() - cachedAt > this.ttl };
+    } catch (_) {
+      return null;
+    }
+  }
+
+  /**
+   * Enregistre le HTML d'une page
+   * @param {string} url
+   * @param {string} html
+   */
+  async set(url, html) {
+    const cache = await this._open();
+    if (!cache) return;
+    try {
+      await cache.put(url, new Response(html, {
+        headers: { 'content-type': 'text/html; charset=utf-8', [CACHED_AT_HEADER]: String(Date.now()) }
+      }));
+    } catch (_) {
+      // Quota dépassé ou mode privé : le cache mémoire suffit
+    }
+  }
+
+  // Vide le cache persistant de la version courante
+  async clear() {
+    if (!this.enabled) return;
+    this._cachePromise = null;
+    try { await caches.delete(this.cacheName); } catch (_) {}
+  }
+}
@@ -0,0 +1,59 @@
+// ==========================================
+// Pagination Webflow des pages Dossier
+// Webflow pagine les Collection Lists à 100 éléments avec des liens
+// « ?<id>_page=2 » ; ces helpers retrouvent la même liste d'une page à l'autre
+// (par position dans [data-panel-target]) et l'URL de sa page suivante
+// ==========================================
+
+export const PAGINATION_SELECTORS = {
+  LIST: '.w-dyn-list',                // Wrapper d'une Collection List
+  ITEMS: '.w-dyn-items',              // Container des éléments
+  WRAPPER: '.w-pagination-wrapper',   // Bloc de pagination
+  NEXT: '.w-pagination-next'          // Lien « page suivante »
+};
+
+/**
+ * Collection Lists de premier niveau d'un fragment (les listes imbriquées ne sont pas paginées)
+ * Même ordre sur toutes les pages d'un même Dossier : l'index sert d'identifiant
+ * @param {Element} root
+ * @returns {Element[]}
+ */
+export function getCollectionLists(root) {
+  return Array.from(root.querySelectorAll(PAGINATION_SELECTORS.LIST))
+    .filter(list => !list.parentElement?.closest(PAGINATION_SELECTORS.LIST));
+}
+
+/**
+ * Résout un lien de pagination relatif (« ?abc_page=2 ») par rapport à l'URL de la page Dossier
+ * @param {string} href
+ * @param {string} pageUrl - URL de la page courante (ex : /menu-dossier/urbanisme)
+ * @returns {string} Chemin + query, même origine (clé de cache de CmsFetchManager)
+ */
+export function resolvePageUrl(href, pageUrl) {
+  const resolved = new URL(href, new URL(pageUrl, window.location.origin));
+  return `${resolved.pathname}${resolved.search}`;
+}
+
+/**
+ * Lien « page suivante » d'une Collection List, résolu en URL de fetch (null si dernière page)
+ * @param {Element} list - Élément .w-dyn-list
+ * @param {string} pageUrl
+ * @returns {string|null}
+ */
+export function getNextPageUrl(list, pageUrl) {
+  const next = list.querySelector(`${PAGINATION_SELECTORS.WRAPPER} ${PAGINATION_SELECTORS.NEXT}`);
+  const href = next?.getAttribute('href');
+  return href ? resolvePageUrl(href, pageUrl) : null;
+}
+
+/**
+ * Listes paginées d'un fragment : { listIndex, list, nextUrl }
+ * @param {Element} root
+ * @param {string} pageUrl
+ * @returns {{listIndex: number, list: Element, nextUrl: string}[]}
+ */
+export function findPaginatedLists(root, pageUrl) {
+  return getCollectionLists(root)
+    .map((list, listIndex) => ({ listIndex, list, nextUrl: getNextPageUrl(list, pageUrl) }))
+    .filter(({ nextUrl }) => nextUrl);
+}
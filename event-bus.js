@@ -0,0 +1,32 @@
+// ==========================================
+// EventBus - Bus d'événements publics partagé par le menu et le slider
+// Chaque gestionnaire possède son bus (this.events) ; les événements sont
+// aussi relayés sur window pour les scripts sans accès à window.app
+// ==========================================
+
+// Préfixe des CustomEvent relayés sur window (ex : 'vv:panel:open', 'vv:slider:slide-change')
+export const WINDOW_EVENT_PREFIX = 'vv:';
+
+export class EventBus extends EventTarget {
+  /**
+   * Émet un événement sur le bus et le relaie sur window
+   * @param {string} type - Voir MENU_EVENTS / SLIDER_EVENTS
+   * @param {Object} detail
+   */
+  emit(type, detail = {}) {
+    this.dispatchEvent(new CustomEvent(type, { detail }));
+    window.dispatchEvent(new CustomEvent(`${WINDOW_EVENT_PREFIX}${type}`, { detail }));
+  }
+
+  /**
+   * Abonne un handler recevant directement le detail
+   * @param {string} type - Voir MENU_EVENTS / SLIDER_EVENTS
+   * @param {Function} handler - (detail, event) => void
+   * @returns {Function} Désabonnement
+   */
+  on(type, handler) {
+    const listener = (event) => handler(event.detail, event);
+    this.addEventListener(type, listener);
+    return () => this.removeEventListener(type, listener);
+  }
+}
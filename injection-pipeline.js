@@ -0,0 +1,331 @@
+// ==========================================
+// InjectionPipeline - Injection du HTML des pages Dossier dans un panel
+// Nettoyage par liste blanche, ré-exécution optionnelle des <script> autorisés,
+// réinitialisation des interactions Webflow et processeurs post-injection
+// (images responsives, médias différés...) enregistrés par les autres modules.
+// Les longues listes sont rendues par lots en temps idle (et optionnellement
+// avec content-visibility) pour ne pas bloquer l'animation d'ouverture du panel
+// ==========================================
+import { CONFIG } from './config.js';
+import logger from './logger.js';
+
+// Balises conservées telles quelles ; les autres sont « déballées » (enfants conservés)
+const ALLOWED_TAGS = new Set([
+  'a', 'abbr', 'article', 'aside', 'b', 'blockquote', 'br', 'button', 'caption', 'cite', 'code',
+  'col', 'colgroup', 'dd', 'del', 'details', 'div', 'dl', 'dt', 'em', 'figcaption', 'figure',
+  'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'i', 'iframe', 'img',
+  'input', 'ins', 'label', 'li', 'main', 'mark', 'nav', 'ol', 'option', 'p', 'picture', 'pre',
+  'q', 's', 'section', 'select', 'small', 'source', 'span', 'strong', 'style', 'sub', 'summary',
+  'sup', 'table', 'tbody', 'td', 'textarea', 'tfoot', 'th', 'thead', 'time', 'tr', 'track', 'u',
+  'ul', 'video', 'audio',
+  // SVG inline (icônes Webflow)
+  'svg', 'g', 'path', 'circle', 'ellipse', 'line', 'polyline', 'polygon', 'rect', 'defs', 'use',
+  'clippath', 'lineargradient', 'radialgradient', 'stop', 'title', 'desc', 'symbol', 'mask'
+]);
+
+// Balises supprimées avec leur contenu (les <script> sont traités à part)
+const DROPPED_TAGS = new Set(['base', 'embed', 'frame', 'frameset', 'link', 'meta', 'noscript', 'object', 'template']);
+
+const ALLOWED_ATTRIBUTES = new Set([
+  'class', 'id', 'style', 'role', 'title', 'lang', 'dir', 'tabindex', 'hidden',
+  'href', 'target', 'rel', 'download', 'src', 'srcset', 'sizes', 'alt', 'width', 'height',
+  'loading', 'decoding', 'media', 'type', 'poster', 'controls', 'autoplay', 'muted', 'loop',
+  'playsinline', 'preload', 'allow', 'allowfullscreen', 'frameborder', 'name', 'value',
+  'placeholder', 'for', 'action', 'method', 'required', 'checked', 'selected', 'disabled',
+  'colspan', 'rowspan', 'datetime', 'open',
+  // SVG
+  'viewbox', 'd', 'fill', 'stroke', 'stroke-width', 'stroke-linecap', 'stroke-linejoin',
+  'fill-rule', 'clip-rule', 'clip-path', 'xmlns', 'xmlns:xlink', 'xlink:href', 'cx', 'cy', 'r',
+  'rx', 'ry', 'x', 'y', 'x1', 'x2', 'y1', 'y2', 'points', 'transform', 'opacity', 'offset',
+  'stop-color', 'preserveaspectratio', 'mask'
+]);
+
+const URL_ATTRIBUTES = new Set(['href', 'src', 'xlink:href', 'poster', 'action']);
+const SAFE_URL = /^(?:https?:|mailto:|tel:|#|\/|\.{0,2}\/|[^:]*$)/i;
+const SAFE_DATA_IMAGE = /^data:image\/(?:png|jpe?g|gif|webp|avif|svg\+xml);/i;
+
+const requestIdle = (cb) => (
+  typeof window.requestIdleCallback === 'function'
+    ? window.requestIdleCallback(cb, { timeout: 200 })
+    : setTimeout(cb, 16)
+);
+
+export class InjectionPipeline {
+  /**
+   * @param {Object} options - Voir CONFIG.INJECTION
+   */
+  constructor(options = CONFIG.INJECTION) {
+    this.options = options;
+    this._processors = [];
+    this._rendering = new WeakMap(); // target → Promise du rendu complet (lots différés inclus)
+    this._jobs = new WeakMap();      // target → rendu par lots en cours (annulé si le slot est ré-injecté)
+  }
+
+  /**
+   * Enregistre un traitement exécuté après chaque injection
+   * @param {string} name - Identifiant (remplace un processeur du même nom)
+   * @param {Function} processor - (root, context) => void ; context = { url }
+   * @param {Object} options
+   * @param {number} options.order - Ordre d'exécution (plus petit = exécuté en premier)
+   */
+  registerProcessor(name, processor, { order = 100 } = {}) {
+    this._processors = this._processors.filter(p => p.name !== name);
+    this._processors.push({ name, processor, order });
+    this._processors.sort((a, b) => a.order - b.order);
+  }
+
+  unregisterProcessor(name) {
+    this._processors = this._processors.filter(p => p.name !== name);
+  }
+
+  /**
+   * Remplace le contenu de `target` par celui de `source` (document fetché, inerte)
+   * Les premiers éléments des longues listes sont rendus immédiatement, le reste par lots
+   * @param {Element} source - Container [data-panel-target] du document fetché
+   * @param {Element} target - Slot du panel
+   * @param {Object} context - Transmis aux processeurs (ex : { url })
+   * @returns {Promise<void>} Résout quand tous les lots différés sont ajoutés (voir whenRendered)
+   */
+  inject(source, target, context = {}) {
+    this._jobs.delete(target);
+    const clone = source.cloneNode(true);
+    if (this.options.SANITIZE) this.sanitize(clone);
+    const deferred = this.options.CHUNK.ENABLED ? this._splitLongLists(clone) : [];
+
+    const fragment = source.ownerDocument.createDocumentFragment();
+    fragment.append(...clone.childNodes);
+    target.replaceChildren(document.importNode(fragment, true));
+
+    if (this.options.SCRIPTS.ENABLED) this._runScripts(target);
+    this.runProcessors(target, context);
+    this._findLists(target).forEach(list => this._applyVirtualization(list));
+    if (this.options.WEBFLOW_IX2) this._reinitWebflowInteractions();
+
+    const rendered = deferred.length
+      ? this._appendDeferred(target, deferred, context)
+      : Promise.resolve();
+    this._rendering.set(target, rendered);
+    return rendered;
+  }
+
+  /**
+   * Attend la fin du rendu par lots d'un slot (ex : avant de chercher un élément profond)
+   * @param {Element} target
+   * @returns {Promise<void>}
+   */
+  whenRendered(target) {
+    return this._rendering.get(target) || Promise.resolve();
+  }
+
+  /**
+   * Ajoute à une liste déjà injectée des éléments venant d'un autre document
+   * (ex : page suivante d'une Collection List paginée) — mêmes traitements qu'un lot différé
+   * @param {Element[]} sourceItems - Éléments du document fetché (inertes)
+   * @param {Element} list - Container vivant des éléments
+   * @param {Object} context - Transmis aux processeurs, complété de { items }
+   * @returns {Element[]} Éléments ajoutés
+   */
+  appendItems(sourceItems, list, context = {}) {
+    if (!sourceItems.length) return [];
+    const holder = sourceItems[0].ownerDocument.createElement('div');
+    holder.append(...sourceItems.map(item => item.cloneNode(true)));
+    if (this.options.SANITIZE) this.sanitize(holder);
+
+    const items = Array.from(holder.children).map(item => document.importNode(item, true));
+    list.append(...items);
+    if (this.options.SCRIPTS.ENABLED) items.forEach(item => this._runScripts(item));
+    this.runProcessors(list, { ...context, items });
+    this._applyVirtualization(list);
+    if (this.options.WEBFLOW_IX2) this._reinitWebflowInteractions();
+    return items;
+  }
+
+  runProcessors(root, context = {}) {
+    this._processors.forEach(({ name, processor }) => {
+      try {
+        processor(root, context);
+      } catch (error) {
+        logger.warn(` Processeur d'injection "${name}" en erreur:`, error);
+      }
+    });
+  }
+
+  // ==========================================
+  // RENDU PAR LOTS
+  // ==========================================
+
+  // Listes concernées, sans les listes imbriquées (même ordre dans le clone et dans le slot)
+  _findLists(root) {
+    const { LIST_SELECTOR } = this.options.CHUNK;
+    return Array.from(root.querySelectorAll(LIST_SELECTOR))
+      .filter(list => !list.parentElement?.closest(LIST_SELECTOR));
+  }
+
+  // Retire du clone les éléments au-delà de INITIAL_ITEMS dans les longues listes
+  _splitLongLists(root) {
+    const { MIN_ITEMS, INITIAL_ITEMS } = this.options.CHUNK;
+    const deferred = [];
+    this._findLists(root).forEach((list, listIndex) => {
+      if (list.children.length <= MIN_ITEMS) return;
+      const items = Array.from(list.children).slice(INITIAL_ITEMS);
+      items.forEach(item => item.remove());
+      deferred.push({ listIndex, items });
+    });
+    return deferred;
+  }
+
+  // Ajoute les éléments retirés par lots de BATCH_SIZE, un lot par période idle
+  _appendDeferred(target, deferred, context) {
+    const { BATCH_SIZE } = this.options.CHUNK;
+    const lists = this._findLists(target);
+    const queue = deferred.map(({ listIndex, items }) => ({ list: lists[listIndex], items }))
+      .filter(({ list }) => list);
+    if (!queue.length) return Promise.resolve();
+    const job = {};
+    this._jobs.set(target, job);
+
+    return new Promise(resolve => {
+      const step = () => {
+        // Slot ré-injecté ou panel retiré du DOM : abandonner ce rendu
+        if (this._jobs.get(target) !== job || !target.isConnected) { resolve(); return; }
+        const current = queue[0];
+        const batch = current.items.splice(0, BATCH_SIZE).map(item => document.importNode(item, true));
+        current.list.append(...batch);
+        if (this.options.SCRIPTS.ENABLED) batch.forEach(item => this._runScripts(item));
+        this.runProcessors(current.list, { ...context, items: batch });
+        this._applyVirtualization(current.list);
+        if (!current.items.length) queue.shift();
+
+        if (queue.length) {
+          requestIdle(step);
+        } else {
+          if (this.options.WEBFLOW_IX2) this._reinitWebflowInteractions();
+          resolve();
+        }
+      };
+      requestIdle(step);
+    });
+  }
+
+  // Rendu différé des éléments hors écran (content-visibility) pour les très longues listes
+  _applyVirtualization(list) {
+    const { ENABLED, MIN_ITEMS, ESTIMATED_HEIGHT } = this.options.VIRTUALIZE;
+    const optedIn = list.hasAttribute('data-virtualize');
+    if (!optedIn && (!ENABLED || list.children.length <= MIN_ITEMS)) return;
+    const measured = list.firstElementChild?.offsetHeight || ESTIMATED_HEIGHT;
+    Array.from(list.children).forEach(item => {
+      if (item.style.contentVisibility) return;
+      item.style.contentVisibility = 'auto';
+      item.style.containIntrinsicSize = `auto ${measured}px`;
+    });
+  }
+
+  // ==========================================
+  // NETTOYAGE
+  // ==========================================
+
+  /**
+   * Nettoie un sous-arbre inerte par liste blanche (balises, attributs, URLs)
+   * @param {Element} root
+   */
+  sanitize(root) {
+    // Parcours en profondeur à partir des feuilles pour pouvoir déballer sans sauter de nœud
+    const elements = Array.from(root.querySelectorAll('*')).reverse();
+    elements.forEach(el => {
+      const tag = el.localName.toLowerCase();
+      if (tag === 'script') {
+        if (!this._isAllowedScript(el)) el.remove();
+        return;
+      }
+      if (DROPPED_TAGS.has(tag) || (tag === 'iframe' && !this._isAllowedIframe(el))) {
+        el.remove();
+        return;
+      }
+      if (!ALLOWED_TAGS.has(tag)) {
+        el.replaceWith(...el.childNodes);
+        return;
+      }
+      this._sanitizeAttributes(el);
+    });
+    // Commentaires HTML (commentaires conditionnels, marqueurs d'éditeur)
+    const walker = root.ownerDocument.createTreeWalker(root, NodeFilter.SHOW_COMMENT);
+    const comments = [];
+    while (walker.nextNode()) comments.push(walker.currentNode);
+    comments.forEach(comment => comment.remove());
+  }
+
+  _sanitizeAttributes(el) {
+    Array.from(el.attributes).forEach(({ name, value }) => {
+      const attr = name.toLowerCase();
+      const isAllowed = ALLOWED_ATTRIBUTES.has(attr) || attr.startsWith('data-') || attr.startsWith('aria-');
+      if (!isAllowed || !this._isSafeValue(el, attr, value)) el.removeAttribute(name);
+    });
+  }
+
+  _isSafeValue(el, attr, value) {
+    const trimmed = value.trim().replace(/[\u0000-\u001f\s]+/g, '');
+    if (URL_ATTRIBUTES.has(attr)) {
+      if (attr === 'src' && el.localName === 'img' && SAFE_DATA_IMAGE.test(trimmed)) return true;
+      return SAFE_URL.test(trimmed);
+    }
+    if (attr === 'srcset') {
+      return value.split(',').every(candidate => SAFE_URL.test(candidate.trim().split(/\s+/)[0] || ''));
+    }
+    if (attr === 'style') return !/expression\s*\(|url\s*\(\s*['"]?\s*javascript:/i.test(value);
+    return true;
+  }
+
+  _isAllowedIframe(el) {
+    try {
+      const { hostname, protocol } = new URL(el.getAttribute('src') || '', window.location.href);
+      return protocol === 'https:' && this.options.ALLOWED_IFRAME_HOSTS.includes(hostname);
+    } catch (_) {
+      return false;
+    }
+  }
+
+  // ==========================================
+  // SCRIPTS
+  // ==========================================
+
+  // Script conservé : src sous un préfixe autorisé, ou inline explicitement marqué
+  _isAllowedScript(el) {
+    const { ENABLED, ALLOWED_SRC, INLINE_ATTRIBUTE } = this.options.SCRIPTS;
+    if (!ENABLED) return false;
+    const src = el.getAttribute('src');
+    if (src) {
+      const absolute = new URL(src, window.location.href).href;
+      return ALLOWED_SRC.some(prefix => absolute.startsWith(prefix));
+    }
+    return el.hasAttribute(INLINE_ATTRIBUTE);
+  }
+
+  // Les <script> insérés via le DOM ne s'exécutent pas : les recréer, dans l'ordre du document
+  _runScripts(root) {
+    root.querySelectorAll('script').forEach(inert => {
+      if (!this.options.SANITIZE && !this._isAllowedScript(inert)) {
+        inert.remove();
+        return;
+      }
+      const script = document.createElement('script');
+      Array.from(inert.attributes).forEach(({ name, value }) => script.setAttribute(name, value));
+      script.async = false;
+      script.textContent = inert.textContent;
+      inert.replaceWith(script);
+    });
+  }
+
+  // ==========================================
+  // WEBFLOW
+  // ==========================================
+
+  // Rattache les interactions Webflow (IX2) au contenu injecté
+  _reinitWebflowInteractions() {
+    try {
+      const ix2 = window.Webflow?.require?.('ix2');
+      ix2?.init();
+    } catch (error) {
+      logger.warn(' Réinitialisation des interactions Webflow échouée:', error);
+    }
+  }
+}
@@ -1,8 +1,8 @@
 // ==========================================
 // GESTIONNAIRE DU LOADER DE PAGE
 // ==========================================
-import { CONFIG } from './config.js';
 import logger from './logger.js';
+import { resolveLoaderSequence, buildSequenceTimeline } from './loader-sequence.js';
 
 // ==========================================
 // CONSTANTES INTERNES
@@ -16,17 +16,6 @@ const SELECTORS = {
   MAIN_LIST: '.main-wrapper .slider-panel_wrap'
 };
 
-const DUR = {
-  H_MAINLIST: 2.125,
-  NAVBAR: 0.8,
-  INFO: 0.6,
-  FADE: 0.4,
-  V_FADE: 1
-};
-
-// Easing shortcuts
-const EASE = CONFIG.ANIMATION.EASE;
-
 /**
  * Gère l'animation du loader de page :
  * - Animations d'entrée et de sortie
@@ -59,6 +48,12 @@ export class LoaderManager {
     this.deferAutoStart = false;
     this.specialFadeAutoStartTimeout = null;
 
+    // Étapes, durées et easings des animations (voir loader-sequence.js)
+    this.sequence = resolveLoaderSequence(this.loaderElement);
+
+    // Fin de la première animation de chargement (voir whenComplete)
+    this.completed = new Promise(resolve => { this._resolveCompleted = resolve; });
+
     // Helpers liés aux callbacks pour éviter recréation
     this._onMainListEntryComplete = this._onMainListEntryComplete.bind(this);
   }
@@ -121,12 +116,14 @@ export class LoaderManager {
       
       if (!this.sliderManager) {
         logger.error('❌ SliderManager non disponible');
+        this._markComplete();
         return;
       }
 
       if(!this.navbar) {
       // if(!this.navbar || !this.mainList) {
         logger.error('❌ Navbar ou liste principale non trouvée');
+        this._markComplete();
         return;
       }
 
@@ -163,6 +160,7 @@ export class LoaderManager {
       return true;
     } catch (error) {
       logger.error('❌ Erreur lors de l\'initialisation du LoaderManager:', error);
+      this._markComplete();
       return false;
     }
   }
@@ -319,6 +317,7 @@ export class LoaderManager {
 
 		if(!this.loaderContentOne || !this.loaderContentThree) {
 			logger.error('❌ Contenu de loader non trouvé');
+			this._markComplete();
 			return;
 		}
 
@@ -482,6 +481,20 @@ export class LoaderManager {
     logger.success('🔓 Scroll restauré avec succès');
   }	
 
+	/**
+	 * Promesse résolue à la fin de la première animation de chargement (scroll rendu à l'utilisateur)
+	 * Ex : restauration de la slide ciblée par l'URL (SliderUrlSync)
+	 * @returns {Promise<void>}
+	 */
+	whenComplete() {
+		return this.completed;
+	}
+
+	_markComplete() {
+		this._resolveCompleted?.();
+		this._resolveCompleted = null;
+	}
+
 	// Callback commun post animation mainList
 	_onMainListEntryComplete() {
 		this.restoreScrollCapability();
@@ -496,11 +509,8 @@ export class LoaderManager {
    */
   _playFromArticle() {
     // Éléments déjà en place via maybeNavigateMenuFromLoader — juste fade out de l'overlay
-
-    gsap.to(this.loaderElement, {
-      opacity: 0,
-      duration: DUR.V_FADE,
-      onComplete: () => {
+    this._playSequence('article', {
+      loader: () => {
         this.loaderElement.classList.remove('is-active');
         this.isLoading = false;
         gsap.set(this.loaderElement, { display: 'none', pointerEvents: 'none' });
@@ -511,49 +521,54 @@ export class LoaderManager {
           if (this.smoothScrollManager) this.smoothScrollManager.disableResetWatchdog();
         }
         this.resetLoaderImagePositions();
+        this._markComplete();
         logger.success('✅ Chargement depuis article terminé');
       }
     });
   }
 
+  /**
+   * Joue une variante de la séquence du loader avec ses effets de bord
+   * @param {string} variant - 'horizontal', 'vertical' ou 'article'
+   * @param {Object} hooks - id d'étape → callback de fin d'étape
+   * @returns {gsap.core.Timeline}
+   */
+  _playSequence(variant, hooks) {
+    return buildSequenceTimeline(this.sequence[variant], {
+      targets: {
+        images: this.loaderContentThree?.querySelectorAll('.slider_copy_item'),
+        mainList: this.mainList,
+        navbar: this.navbar,
+        infos: this.mainList?.querySelectorAll('.slider-panel_infos'),
+        loaderOne: this.loaderContentOne,
+        loader: this.loaderElement
+      },
+      hooks,
+      speed: this.sequence.speed
+    });
+  }
+
 	/**
 	 * Crée l'animation pour le mode horizontal (desktop)
 	 */
   _playHorizontal({ replay }) {
     if (!this.loaderContentThree || !this.mainList) return;
-    const items = this.loaderContentThree.querySelectorAll('.slider_copy_item');
-    const tl = gsap.timeline();
-
     if (!replay) {
-      tl.set(this.loaderContentThree, { opacity:1, onComplete:()=>this.loaderContentThree.classList.add('is-active') })
-        .set(items, { left:'100%' });
+      gsap.set(this.loaderContentThree, { opacity:1 });
+      this.loaderContentThree.classList.add('is-active');
+      gsap.set(this.loaderContentThree.querySelectorAll('.slider_copy_item'), { left:'100%' });
     }
 
-    tl.to(items, {
-      left:0,
-      duration:(i,_,list)=> (i+1)/list.length + 1,
-      stagger:(i,_,list)=> ((i+1)/list.length) * 1 + 0.5,
-      ease:'power4.out'
-    })
-    .to(this.mainList, {
-      xPercent:0,
-      duration:DUR.H_MAINLIST,
-      ease:'power4.out',
-      onComplete:this._onMainListEntryComplete
-    }, '-=1.8')
-    .to(this.navbar, {
-      opacity:1, y:0, duration:DUR.NAVBAR, ease:EASE.POWER2.OUT,
-      onComplete: () => {
+    this._playSequence('horizontal', {
+      mainList: this._onMainListEntryComplete,
+      navbar: () => {
         logger.debug('✅ Animation de chargement navbar terminée');
         gsap.set(this.mainList,{clearProps:'all'});
         this.loaderContentThree.classList.add('is-active');
         if (!replay) this.loaderElement.classList.remove('is-active');
         this.isLoading = false;
-      }
-    }, '-=0.3')
-    .to(this.mainList.querySelectorAll('.slider-panel_infos'), {
-      opacity:1, y:0, duration:DUR.INFO, ease:EASE.POWER2.OUT,
-      onComplete: () => {
+      },
+      infos: () => {
         gsap.set(this.mainList,{clearProps:'all'});
         this.unlockMainListScroll();
         if (replay) {
@@ -563,53 +578,56 @@ export class LoaderManager {
             this.resetLoaderImagePositions();
             this.showMenuVisually();
           }});
+        } else {
+          this._markComplete();
         }
         logger.success(replay ? '✅ Replay horizontal terminé' : '✅ Chargement terminé');
       }
-    }, '<=0.2');
+    });
   }
 
 	/**
 	 * Crée l'animation pour le mode vertical (mobile ou fade-out forcé sur desktop)
 	 */
   _playVertical({ forceDesktopFade = false } = {}) {
-    const tl = gsap.timeline();
-    tl.to(this.loaderContentOne, { opacity:0, duration:DUR.V_FADE, onComplete:()=>{
-      logger.debug('✅ Animation loader phase 1');
-      this.loaderContentOne?.classList.remove('is-active');
-      this.loaderContentThree?.classList.add('is-active');
-    }})
-    .to(this.loaderElement, { opacity:0, duration:DUR.V_FADE, onComplete:()=>{
-      logger.debug('✅ Animation loader phase 2');
-      this.loaderContentThree?.classList.add('is-active');
-      this.loaderElement.classList.remove('is-active');
-      this.isLoading = false;
-      if (forceDesktopFade) {
-        gsap.set(this.loaderElement, { opacity: 0, display: 'none', pointerEvents: 'none' });
-      } else {
-        this.loaderElement.remove();
-      }
-      if (forceDesktopFade && this.mainList) {
-        gsap.set(this.mainList, { xPercent: 0, clearProps: 'transform' });
-      }
-      this.restoreScrollCapability();
-      if (forceDesktopFade) {
-        this.unlockMainListScroll();
-      }
-      if (window.ScrollTrigger) {
-        ScrollTrigger.refresh();
-        if (this.smoothScrollManager) this.smoothScrollManager.disableResetWatchdog();
-        this.forceCompleteReset();
+    this._playSequence('vertical', {
+      loaderOne: () => {
+        logger.debug('✅ Animation loader phase 1');
+        this.loaderContentOne?.classList.remove('is-active');
+        this.loaderContentThree?.classList.add('is-active');
+      },
+      loader: () => {
+        logger.debug('✅ Animation loader phase 2');
+        this.loaderContentThree?.classList.add('is-active');
+        this.loaderElement.classList.remove('is-active');
+        this.isLoading = false;
+        if (forceDesktopFade) {
+          gsap.set(this.loaderElement, { opacity: 0, display: 'none', pointerEvents: 'none' });
+        } else {
+          this.loaderElement.remove();
+        }
+        if (forceDesktopFade && this.mainList) {
+          gsap.set(this.mainList, { xPercent: 0, clearProps: 'transform' });
+        }
         this.restoreScrollCapability();
-        logger.debug('🔄 Refresh ScrollTrigger post vertical loader');
+        if (forceDesktopFade) {
+          this.unlockMainListScroll();
+        }
+        if (window.ScrollTrigger) {
+          ScrollTrigger.refresh();
+          if (this.smoothScrollManager) this.smoothScrollManager.disableResetWatchdog();
+          this.forceCompleteReset();
+          this.restoreScrollCapability();
+          logger.debug('🔄 Refresh ScrollTrigger post vertical loader');
+        }
+        this.resetLoaderImagePositions();
+      },
+      infos: () => {
+        this.unlockMainListScroll();
+        this._markComplete();
+        logger.success('✅ Chargement terminé');
       }
-      this.resetLoaderImagePositions();
-    }}, '<=0.5')
-    .to(this.navbar, { opacity:1, y:0, duration:DUR.NAVBAR, ease:EASE.POWER2.OUT }, '+=0.3')
-    .to(this.mainList.querySelectorAll('.slider-panel_infos'), { opacity:1, y:0, duration:DUR.INFO, ease:EASE.POWER2.OUT, onComplete:()=>{
-      this.unlockMainListScroll();
-      logger.success('✅ Chargement terminé');
-    }}, '<=0.2');
+    });
   }
 
   /**
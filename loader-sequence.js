@@ -0,0 +1,193 @@
+// ==========================================
+// Séquences du loader décrites comme des données
+// Chaque variante (horizontal, vertical, article) est une liste d'étapes
+// { id, target, to, from, duration, stagger, ease, position } jouées dans
+// une timeline GSAP. Les réglages peuvent être surchargés depuis Webflow
+// (bloc JSON + attributs data- sur .loader_wrap) sans toucher au code ;
+// les effets de bord (scroll rendu, fin du loader) restent dans LoaderManager,
+// rattachés aux étapes par leur id
+// ==========================================
+import { CONFIG } from './config.js';
+import logger from './logger.js';
+
+/**
+ * Séquence par défaut (animation d'origine du loader)
+ * target : cible nommée fournie par LoaderManager (images, mainList, navbar, infos,
+ * loaderOne, loader) ou sélecteur CSS pour une étape ajoutée
+ * duration / stagger : nombre, ou { base, perItem } → base + perItem × (i + 1) / n par élément
+ */
+export const DEFAULT_LOADER_SEQUENCE = {
+  horizontal: [
+    { id: 'images', target: 'images', to: { left: 0 }, duration: { base: 1, perItem: 1 }, stagger: { base: 0.5, perItem: 1 }, ease: 'power4.out' },
+    { id: 'mainList', target: 'mainList', to: { xPercent: 0 }, duration: 2.125, ease: 'power4.out', position: '-=1.8' },
+    { id: 'navbar', target: 'navbar', to: { opacity: 1, y: 0 }, duration: 0.8, ease: CONFIG.ANIMATION.EASE.POWER2.OUT, position: '-=0.3' },
+    { id: 'infos', target: 'infos', to: { opacity: 1, y: 0 }, duration: 0.6, ease: CONFIG.ANIMATION.EASE.POWER2.OUT, position: '<=0.2' }
+  ],
+  vertical: [
+    { id: 'loaderOne', target: 'loaderOne', to: { opacity: 0 }, duration: 1 },
+    { id: 'loader', target: 'loader', to: { opacity: 0 }, duration: 1, position: '<=0.5' },
+    { id: 'navbar', target: 'navbar', to: { opacity: 1, y: 0 }, duration: 0.8, ease: CONFIG.ANIMATION.EASE.POWER2.OUT, position: '+=0.3' },
+    { id: 'infos', target: 'infos', to: { opacity: 1, y: 0 }, duration: 0.6, ease: CONFIG.ANIMATION.EASE.POWER2.OUT, position: '<=0.2' }
+  ],
+  // Arrivée depuis une page article : slider déjà en place, simple fondu de l'overlay
+  article: [
+    { id: 'loader', target: 'loader', to: { opacity: 0 }, duration: 1 }
+  ]
+};
+
+const VARIANTS = Object.keys(DEFAULT_LOADER_SEQUENCE);
+const STEP_FIELDS = ['target', 'to', 'from', 'duration', 'stagger', 'ease', 'position', 'disabled'];
+
+/**
+ * Séquence effective : défaut + bloc JSON + preset choisi + attributs de .loader_wrap
+ * @param {HTMLElement|null} loaderElement - .loader_wrap (data-loader-preset, data-loader-speed)
+ * @returns {{name: string, speed: number, horizontal: Array, vertical: Array, article: Array}}
+ */
+export function resolveLoaderSequence(loaderElement) {
+  const options = CONFIG.LOADER_SEQUENCE;
+  const sequence = { name: 'default', speed: 1 };
+  VARIANTS.forEach(variant => {
+    sequence[variant] = DEFAULT_LOADER_SEQUENCE[variant].map(step => ({ ...step }));
+  });
+
+  const overrides = readInlineOverrides(options.INLINE_SELECTOR);
+  if (overrides) applyOverrides(sequence, overrides);
+
+  const presetName = pickPreset(loaderElement?.getAttribute(options.PRESET_ATTRIBUTE), overrides?.presets, options.STORAGE_KEY);
+  if (presetName) {
+    applyOverrides(sequence, overrides.presets[presetName]);
+    sequence.name = presetName;
+    // Variante vue, lisible par les outils de mesure (test A/B)
+    document.body?.setAttribute('data-loader-variant', presetName);
+  }
+
+  const speed = parseFloat(loaderElement?.getAttribute(options.SPEED_ATTRIBUTE));
+  if (speed > 0) sequence.speed *= speed;
+
+  if (sequence.name !== 'default' || sequence.speed !== 1 || overrides) {
+    logger.loading(` Séquence du loader : "${sequence.name}" (vitesse ×${sequence.speed})`);
+  }
+  return sequence;
+}
+
+/**
+ * Construit la timeline d'une variante
+ * @param {Array} steps - Étapes résolues (voir resolveLoaderSequence)
+ * @param {Object} context
+ * @param {Object} context.targets - Cibles nommées → élément(s)
+ * @param {Object} context.hooks - id d'étape → callback appelé à la fin de l'étape (même désactivée)
+ * @param {number} context.speed - Facteur de vitesse (timeScale)
+ * @returns {gsap.core.Timeline}
+ */
+export function buildSequenceTimeline(steps, { targets = {}, hooks = {}, speed = 1 } = {}) {
+  const tl = gsap.timeline();
+  steps.forEach(step => {
+    const hook = hooks[step.id];
+    const elements = step.target in targets ? targets[step.target] : safeQueryAll(step.target);
+    const isEmpty = !elements || elements.length === 0;
+    if (step.disabled || isEmpty) {
+      // Étape sans animation : son effet de bord reste garanti
+      if (hook) tl.call(hook, null, step.position);
+      return;
+    }
+    const vars = {
+      ...step.to,
+      duration: resolvePerItem(step.duration),
+      onComplete: hook
+    };
+    if (step.ease) vars.ease = step.ease;
+    if (step.stagger !== undefined) vars.stagger = resolvePerItem(step.stagger);
+    if (step.from) tl.fromTo(elements, { ...step.from }, vars, step.position);
+    else tl.to(elements, vars, step.position);
+  });
+  if (speed !== 1) tl.timeScale(speed);
+  return tl;
+}
+
+// { base, perItem } → valeur par élément (durée ou départ) ; nombre laissé tel quel
+function resolvePerItem(value) {
+  if (value && typeof value === 'object') {
+    const { base = 0, perItem = 0 } = value;
+    return (i, _, list) => base + perItem * (i + 1) / list.length;
+  }
+  return typeof value === 'number' ? value : undefined;
+}
+
+function safeQueryAll(selector) {
+  if (typeof selector !== 'string') return null;
+  try {
+    return document.querySelectorAll(selector);
+  } catch (error) {
+    logger.warn(` Séquence du loader : cible "${selector}" invalide`);
+    return null;
+  }
+}
+
+function readInlineOverrides(selector) {
+  const inline = selector ? document.querySelector(selector) : null;
+  if (!inline) return null;
+  try {
+    const overrides = JSON.parse(inline.textContent);
+    return overrides && typeof overrides === 'object' ? overrides : null;
+  } catch (error) {
+    logger.warn(' Séquence du loader illisible, animation par défaut:', error);
+    return null;
+  }
+}
+
+/**
+ * Preset demandé par data-loader-preset ; « a|b » tire un preset au sort (A/B)
+ * et le garde pour le visiteur (localStorage) afin qu'il revoie la même intro
+ */
+function pickPreset(requested, presets, storageKey) {
+  if (!requested || !presets) return null;
+  const candidates = requested.split('|').map(name => name.trim()).filter(name => presets[name]);
+  if (!candidates.length) {
+    logger.warn(` Preset de loader "${requested}" introuvable dans le bloc JSON`);
+    return null;
+  }
+  if (candidates.length === 1) return candidates[0];
+
+  let stored = null;
+  try { stored = localStorage.getItem(storageKey); } catch (_) {}
+  if (candidates.includes(stored)) return stored;
+  const picked = candidates[Math.floor(Math.random() * candidates.length)];
+  try { localStorage.setItem(storageKey, picked); } catch (_) {}
+  return picked;
+}
+
+/**
+ * Fusionne des surcharges { speed, horizontal: [...], vertical: [...], article: [...] }
+ * Étape existante (même id) : champs remplacés, to/from fusionnés
+ * Nouvelle étape : ajoutée en fin, ou après l'étape nommée par « after »
+ */
+function applyOverrides(sequence, overrides) {
+  if (!overrides || typeof overrides !== 'object') return;
+  if (overrides.speed > 0) sequence.speed *= overrides.speed;
+  VARIANTS.forEach(variant => {
+    if (!Array.isArray(overrides[variant])) return;
+    overrides[variant].forEach(override => {
+      if (!override?.id) return;
+      const steps = sequence[variant];
+      const existing = steps.find(step => step.id === override.id);
+      if (existing) {
+        STEP_FIELDS.forEach(field => {
+          if (!(field in override)) return;
+          existing[field] = (field === 'to' || field === 'from') && existing[field]
+            ? { ...existing[field], ...override[field] }
+            : override[field];
+        });
+        return;
+      }
+      if (!override.target || !override.to) {
+        logger.warn(` Étape de loader "${override.id}" ignorée : target et to requis`);
+        return;
+      }
+      const step = { id: override.id };
+      STEP_FIELDS.forEach(field => { if (field in override) step[field] = override[field]; });
+      const afterIndex = override.after ? steps.findIndex(s => s.id === override.after) : -1;
+      if (afterIndex === -1) steps.push(step);
+      else steps.splice(afterIndex + 1, 0, step);
+    });
+  });
+}
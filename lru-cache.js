@@ -0,0 +1,109 @@
+// ==========================================
+// LruCache - Cache mémoire borné (nombre d'entrées et taille estimée)
+// L'ordre d'insertion de la Map sert d'ordre d'usage : la première entrée
+// est la moins récemment utilisée, évincée en premier
+// ==========================================
+import { CONFIG } from './config.js';
+
+/**
+ * Borne mémoire adaptée à l'appareil : divisée par 2 sur les appareils à faible mémoire
+ * @param {number} limit - Borne de CONFIG.MENU_MEMORY
+ * @returns {number}
+ */
+export function scaleForDevice(limit) {
+  const deviceMemory = navigator.deviceMemory;
+  const isLowMemory = deviceMemory && deviceMemory <= CONFIG.MENU_MEMORY.LOW_MEMORY_DEVICE;
+  return isLowMemory ? Math.max(1, Math.floor(limit / 2)) : limit;
+}
+
+export class LruCache {
+  /**
+   * @param {Object} options
+   * @param {number} options.maxEntries - Nombre maximal d'entrées
+   * @param {number} options.maxBytes - Taille cumulée maximale (octets estimés)
+   * @param {Function} options.sizeOf - (value) => taille estimée en octets
+   * @param {Function} options.onEvict - (key, value) => void, appelé à chaque éviction
+   */
+  constructor({ maxEntries = Infinity, maxBytes = Infinity, sizeOf = () => 0, onEvict = null } = {}) {
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    this._sizeOf = sizeOf;
+    this._onEvict = onEvict;
+    this._entries = new Map(); // key → { value, size }
+    this._bytes = 0;
+    this._hits = 0;
+    this._misses = 0;
+    this._evictions = 0;
+  }
+
+  get size() { return this._entries.size; }
+
+  has(key) { return this._entries.has(key); }
+
+  // Lecture comptée comme un usage (l'entrée repasse en fin de file)
+  get(key) {
+    const entry = this._entries.get(key);
+    if (!entry) {
+      this._misses++;
+      return undefined;
+    }
+    this._hits++;
+    this._entries.delete(key);
+    this._entries.set(key, entry);
+    return entry.value;
+  }
+
+  // Lecture sans effet sur l'ordre ni les statistiques
+  peek(key) { return this._entries.get(key)?.value; }
+
+  set(key, value) {
+    this.delete(key);
+    const size = this._sizeOf(value) || 0;
+    this._entries.set(key, { value, size });
+    this._bytes += size;
+    this._trim(key);
+    return this;
+  }
+
+  delete(key) {
+    const entry = this._entries.get(key);
+    if (!entry) return false;
+    this._entries.delete(key);
+    this._bytes -= entry.size;
+    return true;
+  }
+
+  clear() {
+    this._entries.clear();
+    this._bytes = 0;
+  }
+
+  // [key, value][] du moins au plus récemment utilisé
+  entries() {
+    return Array.from(this._entries, ([key, { value }]) => [key, value]);
+  }
+
+  stats() {
+    return {
+      entries: this._entries.size,
+      bytes: this._bytes,
+      maxEntries: this.maxEntries,
+      maxBytes: this.maxBytes,
+      hits: this._hits,
+      misses: this._misses,
+      evictions: this._evictions
+    };
+  }
+
+  // Évince les entrées les plus anciennes jusqu'à respecter les bornes (sauf l'entrée qui vient d'arriver)
+  _trim(keptKey) {
+    for (const [key, entry] of this._entries) {
+      if (this._entries.size <= this.maxEntries && this._bytes <= this.maxBytes) break;
+      if (key === keptKey) continue;
+      this._entries.delete(key);
+      this._bytes -= entry.size;
+      this._evictions++;
+      this._onEvict?.(key, entry.value);
+    }
+  }
+}
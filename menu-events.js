@@ -0,0 +1,18 @@
+// ==========================================
+// Événements publics du cycle de vie du menu
+// Émis par MenuManager via son EventBus (voir event-bus.js) : les autres modules
+// (ImageModal, analytics, scripts du site) s'abonnent au lieu de lire l'état interne
+// ==========================================
+
+/**
+ * Types d'événements émis par MenuManager
+ * detail : { panelName, path, panel } — path = panels ouverts après l'événement (racine → courant)
+ */
+export const MENU_EVENTS = {
+  MENU_OPEN: 'menu:open',
+  MENU_CLOSE: 'menu:close',
+  PANEL_OPEN: 'panel:open',
+  PANEL_CLOSE: 'panel:close',
+  PANEL_CONTENT_INJECTED: 'panel:content-injected',  // detail.panel : panel rempli
+  PANEL_FETCH_ERROR: 'panel:fetch-error'             // detail.error : CmsFetchError
+};
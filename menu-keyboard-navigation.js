@@ -0,0 +1,188 @@
+// ==========================================
+// MenuKeyboardNavigation - Clavier & sémantique ARIA du menu hiérarchique
+// Externalisé depuis MenuManager : flèches entre boutons Dossiers,
+// Entrée/Espace pour ouvrir, Échap/Retour arrière pour fermer le panel courant, gestion du focus
+// ==========================================
+import { CONFIG } from './config.js';
+
+// Identifiant DOM déterministe d'un panel (cible des aria-controls)
+export const panelDomId = (panelName) => `menu-panel-${panelName}`;
+
+export class MenuKeyboardNavigation {
+  constructor(menuManager) {
+    this.menuManager = menuManager;
+    this.menu = menuManager.menu;
+    this._onKeyDown = this._onKeyDown.bind(this);
+  }
+
+  init() {
+    this.applyMenuSemantics();
+    this.applyButtonSemantics(this.menuManager.cmsButtons);
+    document.addEventListener('keydown', this._onKeyDown);
+  }
+
+  // Rôles du bouton d'ouverture, du menu et des panels statiques
+  applyMenuSemantics() {
+    const { menuButton, menuPanelItems } = this.menuManager;
+    if (!this.menu.id) this.menu.id = 'vv-menu';
+    menuButton.setAttribute('aria-controls', this.menu.id);
+    menuButton.setAttribute('aria-expanded', 'false');
+    if (menuButton.tagName !== 'BUTTON' && !menuButton.hasAttribute('role')) {
+      menuButton.setAttribute('role', 'button');
+      if (!menuButton.hasAttribute('tabindex')) menuButton.setAttribute('tabindex', '0');
+    }
+    this.menu.setAttribute('role', 'navigation');
+    menuPanelItems?.forEach(panel => this.applyPanelSemantics(panel));
+  }
+
+  /**
+   * Rend un panel adressable (id pour aria-controls, focusable par script)
+   * @param {HTMLElement} panel - Élément .menu_panel_item
+   */
+  applyPanelSemantics(panel) {
+    if (!panel) return;
+    if (panel.dataset.name && !panel.id) panel.id = panelDomId(panel.dataset.name);
+    panel.setAttribute('role', 'region');
+    if (!panel.hasAttribute('tabindex')) panel.setAttribute('tabindex', '-1');
+    const title = panel.querySelector('.menu_panel_item_title');
+    if (title?.textContent.trim() && !panel.hasAttribute('aria-label')) {
+      panel.setAttribute('aria-label', title.textContent.trim());
+    }
+  }
+
+  /**
+   * Rend les boutons Dossiers activables au clavier et les relie à leur panel
+   * @param {HTMLElement[]|NodeList} buttons - Boutons .menu_panel_collection_item.is-btn
+   */
+  applyButtonSemantics(buttons) {
+    buttons.forEach(btn => {
+      if (!btn.dataset.name || !btn.isConnected) return;
+      btn.setAttribute('role', 'button');
+      if (!btn.hasAttribute('tabindex')) btn.setAttribute('tabindex', '0');
+      btn.setAttribute('aria-controls', panelDomId(btn.dataset.name));
+      if (!btn.hasAttribute('aria-expanded')) btn.setAttribute('aria-expanded', 'false');
+    });
+  }
+
+  // Synchronise aria-expanded du bouton d'ouverture avec l'état du menu
+  setMenuExpanded(expanded) {
+    this.menuManager.menuButton.setAttribute('aria-expanded', String(expanded));
+  }
+
+  // Vrai si l'utilisateur interagit actuellement avec le menu (évite de voler le focus)
+  _hasFocusWithin() {
+    const active = document.activeElement;
+    return !!active && (this.menu.contains(active) || active === this.menuManager.menuButton);
+  }
+
+  /**
+   * Place le focus dans un panel nouvellement affiché : premier bouton Dossier, sinon le panel
+   * @param {HTMLElement} panel - Élément .menu_panel_item
+   */
+  focusPanel(panel) {
+    if (!panel || !this._hasFocusWithin()) return;
+    const target = this._getButtons(panel)[0] || panel;
+    target.focus({ preventScroll: true });
+  }
+
+  /**
+   * Rend le focus au bouton qui a ouvert le panel fermé
+   * @param {string} panelName - data-name du panel fermé
+   */
+  restoreFocus(panelName) {
+    if (!this._hasFocusWithin()) return;
+    const btn = this.menuManager.findButtonByPanelName(panelName);
+    if (btn && document.contains(btn)) {
+      btn.focus({ preventScroll: true });
+    } else {
+      this.focusMenuRoot();
+    }
+  }
+
+  // Focus sur le premier panel (ouverture du menu) ou sur le bouton du menu (fermeture)
+  focusMenuRoot() {
+    const { menuFirstPanelItem } = this.menuManager;
+    const target = this._getButtons(menuFirstPanelItem)[0] || menuFirstPanelItem;
+    target?.focus({ preventScroll: true });
+  }
+
+  focusMenuButton() {
+    if (!this._hasFocusWithin()) return;
+    this.menuManager.menuButton.focus({ preventScroll: true });
+  }
+
+  _getButtons(container) {
+    if (!container) return [];
+    return Array.from(container.querySelectorAll(CONFIG.SELECTORS.MENU_FOLDERS))
+      .filter(btn => btn.offsetParent !== null || btn === document.activeElement);
+  }
+
+  _isEditable(el) {
+    return !!el && (el.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(el.tagName));
+  }
+
+  _onKeyDown(e) {
+    if (e.defaultPrevented || !this.menu.classList.contains('is-active')) return;
+    const target = e.target;
+    if (this._isEditable(target)) return;
+
+    const btn = target.closest?.(CONFIG.SELECTORS.MENU_FOLDERS);
+
+    switch (e.key) {
+      case 'ArrowDown':
+      case 'ArrowUp':
+      case 'Home':
+      case 'End': {
+        const panel = target.closest?.('.menu_panel_item');
+        if (!panel || !this.menu.contains(panel)) return;
+        const buttons = this._getButtons(panel);
+        if (!buttons.length) return;
+        e.preventDefault();
+        const idx = buttons.indexOf(btn);
+        let next;
+        if (e.key === 'Home') next = 0;
+        else if (e.key === 'End') next = buttons.length - 1;
+        else if (idx === -1) next = 0;
+        else next = (idx + (e.key === 'ArrowDown' ? 1 : -1) + buttons.length) % buttons.length;
+        buttons[next].focus({ preventScroll: false });
+        break;
+      }
+      case 'Enter':
+      case ' ': {
+        if (!btn || !this.menu.contains(btn)) return;
+        e.preventDefault();
+        const panelName = btn.dataset.name;
+        if (this.menuManager.navigationState.includes(panelName)) {
+          this.focusPanel(this.menuManager.getPanel(panelName));
+        } else {
+          this.menuManager.openPanel(btn);
+        }
+        break;
+      }
+      case 'Backspace': {
+        // Ferme le panel courant seulement, jamais le menu (champs de saisie exclus plus haut)
+        const current = this.menuManager.navigationState.current();
+        if (!current) return;
+        e.preventDefault();
+        this.menuManager.closePanel(current);
+        break;
+      }
+      case 'Escape': {
+        e.preventDefault();
+        const current = this.menuManager.navigationState.current();
+        if (current) {
+          this.menuManager.closePanel(current);
+        } else {
+          this.menuManager.closeMenu();
+        }
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  destroy() {
+    document.removeEventListener('keydown', this._onKeyDown);
+  }
+}
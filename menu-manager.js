@@ -5,6 +5,16 @@ import { CONFIG } from './config.js';
 import logger from './logger.js';
 import { NavigationState } from './navigation-state.js';
 import { NavigationActiveState } from './navigation-active-state.js';
+import { NavigationUrlSync } from './navigation-url-sync.js';
+import { MenuKeyboardNavigation } from './menu-keyboard-navigation.js';
+import { MenuSearch } from './menu-search.js';
+import { NavigationBreadcrumb } from './navigation-breadcrumb.js';
+import { EventBus } from './event-bus.js';
+import { MENU_EVENTS } from './menu-events.js';
+import { MenuSwipeGesture } from './menu-swipe-gesture.js';
+import { CmsFetchError } from './cms-fetch-manager.js';
+import { CrawlScheduler, CRAWL_PRIORITY } from './crawl-scheduler.js';
+import { scaleForDevice } from './lru-cache.js';
 
 // (pas de constantes CMS — le DOM Webflow est déjà rendu nativement)
 
@@ -30,12 +40,35 @@ export class MenuManager {
     // Boutons CMS dynamiques
     this.cmsButtons = [];
     
+  // Événements publics (menu:open, panel:open, ...) — voir menu-events.js
+  this.events = new EventBus();
+
   // Historique & états actifs
   this.navigationState = new NavigationState();
-  this.activeState = new NavigationActiveState(this.findButtonByPanelName.bind(this));
+  this.activeState = new NavigationActiveState(this.findButtonByPanelName.bind(this), {
+    onChange: path => this.breadcrumb.render(path)
+  });
+  this.breadcrumb = new NavigationBreadcrumb(this);
+  this.swipeGesture = new MenuSwipeGesture(this);
+  this.urlSync = new NavigationUrlSync(path => this._applyUrlPath(path));
+  this._isApplyingUrlPath = false;
+  this.keyboardNav = new MenuKeyboardNavigation(this);
+  this.search = new MenuSearch(this);
+
+  // File de crawl partagée (préchauffage + découverte de chemins)
+  this.crawler = new CrawlScheduler({
+    concurrency: CONFIG.MENU_CRAWL.CONCURRENCY,
+    idleTimeout: CONFIG.MENU_CRAWL.IDLE_TIMEOUT
+  });
+  this._warmupInterrupted = false;
+
+  // Panels dynamiques fermés conservés (les moins récemment ouverts sont retirés du DOM)
+  this._maxDynamicPanels = scaleForDevice(CONFIG.MENU_MEMORY.MAX_DYNAMIC_PANELS);
+  this._panelLastOpened = new Map(); // panelName → horodatage de la dernière ouverture
 
   // Bind handlers réutilisés
   this._onDocumentClick = this._onDocumentClick.bind(this);
+  this._onVisibilityChange = this._onVisibilityChange.bind(this);
   }
 
   // ==========================================
@@ -50,9 +83,15 @@ export class MenuManager {
       throw new Error('Éléments essentiels du menu manquants');
     }
     this.cmsButtons = Array.from(document.querySelectorAll(CONFIG.SELECTORS.MENU_FOLDERS));
+    this.initPrefetchObserver();
     this.initPanelPositions();
     this.initBasicEvents();
     this.attachCMSButtonEvents();
+    this.keyboardNav.init();
+    this.search.init();
+    this.breadcrumb.init();
+    this.swipeGesture.init();
+    this._manifestPromise = this.loadManifest();
     logger.success('MenuManager initialisé');
   }
 
@@ -78,6 +117,49 @@ export class MenuManager {
       e.stopPropagation();
       this.openPanel(button);
     });
+    // Préchargement sur intention : survol, focus clavier, apparition dans le panel
+    button.addEventListener('pointerenter', () => this.prefetchPanel(button.dataset.name));
+    button.addEventListener('focus', () => this.prefetchPanel(button.dataset.name));
+    if (this._prefetchObserver && document.contains(button)) this._prefetchObserver.observe(button);
+  }
+
+  // ==========================================
+  // PRÉCHARGEMENT SUR INTENTION
+  // ==========================================
+
+  /**
+   * Crée l'observer qui précharge les Dossiers dont le bouton devient visible dans un panel
+   * Les panels fermés sont hors écran (xPercent -101) : seuls les boutons réellement affichés déclenchent
+   */
+  initPrefetchObserver() {
+    if (typeof IntersectionObserver === 'undefined') return;
+    this._prefetchObserver = new IntersectionObserver((entries) => {
+      entries.forEach(entry => {
+        if (!entry.isIntersecting) return;
+        this._prefetchObserver.unobserve(entry.target);
+        const panelName = entry.target.dataset.name;
+        if (!panelName || !this.cmsFetchManager || this._isDataSaverEnabled()) return;
+        // Préchargement spéculatif : via la file de crawl (temps idle, concurrence limitée)
+        this._crawlPanel(panelName, CRAWL_PRIORITY.WARMUP).catch(() => {});
+      });
+    }, { rootMargin: '0px 0px 200px 0px' });
+  }
+
+  /**
+   * Précharge la page d'un Dossier (survol / focus) sans attendre la file de crawl
+   * @param {string} panelName
+   */
+  prefetchPanel(panelName) {
+    if (!panelName || !this.cmsFetchManager) return;
+    this.prioritizePanel(panelName);
+    if (this._isDataSaverEnabled()) return;
+    this.cmsFetchManager.prefetch(this._buildFetchUrl(panelName));
+  }
+
+  // Respecte le mode économie de données (le clic fetche toujours)
+  _isDataSaverEnabled() {
+    const connection = navigator.connection || navigator.mozConnection || navigator.webkitConnection;
+    return !!connection && (connection.saveData === true || /(^|-)2g$/.test(connection.effectiveType || ''));
   }
 
   /**
@@ -150,15 +232,21 @@ export class MenuManager {
     e.stopPropagation();
     const targetPanelName = menuLinkElement.dataset.menuLink;
     if (targetPanelName) {
-      this.navigateToPanel(targetPanelName);
+      this.navigateToPanel(targetPanelName).catch(error => {
+        logger.warn(` Navigation vers "${targetPanelName}" impossible:`, error.message);
+      });
     }
   }
 
   /**
    * Navigue directement vers un panel en ouvrant tous ses ancêtres
    * @param {string} targetPanelName - Le data-name du panel cible
+   * @returns {Promise<boolean>} Résout quand le contenu du panel cible est prêt,
+   *   rejette (CmsFetchError) si le panel est introuvable ou n'a pas pu être chargé
    */
   async navigateToPanel(targetPanelName, { skipAnimation = false } = {}) {
+    this.prioritizePanel(targetPanelName);
+
     // Construire le chemin complet vers le panel cible
     let ancestorPath = this.buildAncestorPath(targetPanelName);
 
@@ -169,7 +257,9 @@ export class MenuManager {
     }
 
     if (ancestorPath.length === 0) {
-      return;
+      throw new CmsFetchError(`Panel "${targetPanelName}" introuvable dans l'arborescence du menu`, {
+        url: this._buildFetchUrl(targetPanelName)
+      });
     }
 
     // Ouvrir le menu s'il n'est pas déjà ouvert
@@ -181,34 +271,52 @@ export class MenuManager {
     }
 
     // Naviguer vers le panel cible en ouvrant tous les ancêtres
-    await this.openAncestorPath(ancestorPath, { skipAnimation });
+    return this.openAncestorPath(ancestorPath, { skipAnimation });
   }
 
   /**
    * Découvre le chemin vers un panel en fetchant le contenu niveau par niveau (BFS)
-   * Utilisé quand le bouton cible n'est pas encore dans cmsButtons
+   * Utilisé quand le bouton cible n'est pas encore dans cmsButtons.
+   * Passe par le CrawlScheduler partagé : les panels déjà planifiés par le préchauffage
+   * sont remontés en priorité NAVIGATION au lieu d'être fetchés deux fois
    * @param {string} targetPanelName
    * @param {number} maxDepth
    * @returns {string[]}
    */
-  async _discoverPathByFetch(targetPanelName, maxDepth = 3) {
-    // Si un préchauffage est en cours, l'attendre d'abord
-    if (this._warmupPromise) await this._warmupPromise;
-    // Tenter le chemin direct après le préchauffage
+  async _discoverPathByFetch(targetPanelName, maxDepth = CONFIG.MENU_CRAWL.MAX_DEPTH) {
+    if (this._manifestPromise) await this._manifestPromise;
     const earlyPath = this.buildAncestorPath(targetPanelName);
     if (earlyPath.length > 0) return earlyPath;
 
-    // Fallback : BFS avec fetches parallèles par niveau
+    try {
+      await this._crawlLevels({
+        priority: CRAWL_PRIORITY.NAVIGATION,
+        maxDepth,
+        isDone: () => this.buildAncestorPath(targetPanelName).length > 0
+      });
+    } catch (error) {
+      if (error.name !== 'AbortError') throw error;
+    }
+    return this.buildAncestorPath(targetPanelName);
+  }
+
+  /**
+   * Parcourt l'arborescence des Dossiers niveau par niveau via le CrawlScheduler
+   * @param {Object} options
+   * @param {number} options.priority - Priorité des fetchs (CRAWL_PRIORITY)
+   * @param {number} options.maxDepth - Profondeur maximale explorée
+   * @param {Function} options.isDone - Arrêt anticipé après chaque niveau
+   * @returns {Promise<boolean>} true si isDone() a interrompu le parcours
+   */
+  async _crawlLevels({ priority, maxDepth = CONFIG.MENU_CRAWL.MAX_DEPTH, isDone = () => false }) {
     let toExplore = this.cmsButtons
       .filter(btn => !btn.dataset.parent)
       .map(btn => btn.dataset.name)
       .filter(Boolean);
 
     for (let depth = 0; depth < maxDepth; depth++) {
-      // Tous les panels du niveau courant en parallèle
-      await Promise.all(toExplore.map(name => this._registerButtonsFromFetch(name)));
-      const path = this.buildAncestorPath(targetPanelName);
-      if (path.length > 0) return path;
+      await Promise.all(toExplore.map(name => this._crawlPanel(name, priority)));
+      if (isDone()) return true;
       // Préparer le niveau suivant
       const nextLevel = [];
       toExplore.forEach(panelName => {
@@ -219,7 +327,38 @@ export class MenuManager {
       toExplore = [...new Set(nextLevel)];
       if (!toExplore.length) break;
     }
-    return [];
+    return false;
+  }
+
+  /**
+   * Fetche toute l'arborescence connue (jusqu'à MENU_CRAWL.MAX_DEPTH) pour compléter le cache,
+   * ex : à l'ouverture de la recherche. Partage la file de crawl avec le préchauffage
+   * @returns {Promise<void>|null} null tant que le CmsFetchManager n'est pas injecté
+   */
+  fetchAllPanels() {
+    if (!this.cmsFetchManager) return null;
+    if (!this._fetchAllPromise) {
+      this._fetchAllPromise = (this._manifestPromise || Promise.resolve())
+        .then(() => this._crawlLevels({ priority: CRAWL_PRIORITY.NAVIGATION }))
+        .then(() => {}, (error) => {
+          this._fetchAllPromise = null;
+          if (error.name !== 'AbortError') logger.warn(' Crawl complet du menu interrompu:', error.message);
+        });
+    }
+    return this._fetchAllPromise;
+  }
+
+  // Planifie l'enregistrement des boutons enfants d'un panel dans la file de crawl
+  _crawlPanel(panelName, priority) {
+    return this.crawler.schedule(panelName, () => this._registerButtonsFromFetch(panelName), priority);
+  }
+
+  /**
+   * Remonte un panel en tête de la file de crawl (survol, navigation)
+   * @param {string} panelName
+   */
+  prioritizePanel(panelName) {
+    if (panelName) this.crawler.bump(panelName, CRAWL_PRIORITY.USER);
   }
 
   /**
@@ -237,13 +376,20 @@ export class MenuManager {
       const name = btn.dataset.name;
       if (!name || this.cmsButtons.some(b => b.dataset.name === name)) return;
       // Créer un bouton fantôme pour que buildAncestorPath puisse remonter la hiérarchie
-      const ghost = document.createElement('div');
-      ghost.dataset.name = name;
-      ghost.dataset.parent = btn.dataset.parent || panelName;
-      this.cmsButtons.push(ghost);
+      this.cmsButtons.push(this._createGhostButton(btn, panelName));
     });
   }
 
+  // Bouton fantôme (hors DOM) : nom, parent et titre d'un bouton Dossier
+  _createGhostButton(btn, parentName) {
+    const ghost = document.createElement('div');
+    ghost.dataset.name = btn.dataset.name;
+    ghost.dataset.parent = btn.dataset.parent || parentName;
+    const title = (btn.dataset.title || btn.textContent).replace(/\s+/g, ' ').trim();
+    if (title) ghost.dataset.title = title;
+    return ghost;
+  }
+
   /**
    * Construit le chemin complet d'ancêtres vers un panel cible
    * @param {string} targetPanelName - Le data-name du panel cible
@@ -272,17 +418,29 @@ export class MenuManager {
   /**
    * Ouvre séquentiellement tous les panels dans le chemin d'ancêtres
    * @param {string[]} ancestorPath - Array des panels à ouvrir dans l'ordre
+   * @returns {Promise<boolean>} Chargement du contenu du panel cible (voir showPanel)
    */
-  async openAncestorPath(ancestorPath, { skipAnimation = false } = {}) {
+  async openAncestorPath(ancestorPath, options) {
+    const { content } = await this._openPathPanels(ancestorPath, options);
+    return content;
+  }
+
+  /**
+   * Ouvre les panels du chemin sans attendre le contenu du panel cible
+   * @returns {Promise<{content: Promise<boolean>}>} Résolue une fois les panels ouverts
+   */
+  async _openPathPanels(ancestorPath, { skipAnimation = false } = {}) {
     // Fermer tous les panels actuellement ouverts qui ne sont pas dans le nouveau chemin
     await this.closeNonMatchingPanels(ancestorPath);
 
     // Ouvrir séquentiellement chaque panel du chemin
+    let targetContent = Promise.resolve(false);
     for (let i = 0; i < ancestorPath.length; i++) {
       const panelName = ancestorPath[i];
       if (!this.navigationState.includes(panelName)) {
         this.navigationState.push(panelName);
-        this.showPanel(panelName, { skipAnimation });
+        const content = this.showPanel(panelName, { skipAnimation });
+        if (i === ancestorPath.length - 1) targetContent = content;
   this.activeState.onOpen(panelName);
         if (!skipAnimation && i < ancestorPath.length - 1) {
           await new Promise(res => setTimeout(res, CONFIG.ANIMATION.DURATION * 1000));
@@ -292,6 +450,8 @@ export class MenuManager {
     
     // Mettre à jour la visibilité des boutons "exit all" après navigation
     this.updateExitAllButtonsVisibility();
+    this._syncUrl();
+    return { content: targetContent };
   }
 
   /**
@@ -358,6 +518,10 @@ export class MenuManager {
       ease: CONFIG.ANIMATION.EASE.POWER2.OUT,
       xPercent: 0
     });
+
+    this.keyboardNav.setMenuExpanded(true);
+    this.keyboardNav.focusPanel(this.menuFirstPanelItem);
+    this._emit(MENU_EVENTS.MENU_OPEN);
   }
 
   /**
@@ -379,6 +543,13 @@ export class MenuManager {
         // Inverser l'ordre pour commencer par le dernier panel (le plus profond)
         const reversedPanels = [...allOpenPanels].reverse();
 
+        // Réinitialiser l'historique et les états actifs immédiatement
+        const closedPanels = this.navigationState.snapshot().reverse();
+        this.navigationState.clear();
+        this.activeState.clearAll();
+        closedPanels.forEach(name => this._emit(MENU_EVENTS.PANEL_CLOSE, name));
+        this._syncUrl();
+
         // Si closeall est true, tout fermer tout d'un coup, sans animation (même le premier panel) et l'overlay
         if (closeAll) {
           reversedPanels.forEach(panel => {
@@ -396,10 +567,6 @@ export class MenuManager {
             this.closeMenuFinal();
           }, 0.2);
         }
-
-  // Réinitialiser l'historique et les états actifs immédiatement
-  this.navigationState.clear();
-  this.activeState.clearAll();
         return;
       }
     }
@@ -412,6 +579,10 @@ export class MenuManager {
    * Ferme définitivement le menu après fermeture des panels
    */
   closeMenuFinal(closeAll = false) {
+    this.keyboardNav.setMenuExpanded(false);
+    this.keyboardNav.focusMenuButton();
+    this._emit(MENU_EVENTS.MENU_CLOSE);
+
     if (closeAll) {
       // Fermer le premier panel sans animation
       this.menuFirstPanelItem.setAttribute('aria-hidden', 'true');
@@ -462,13 +633,15 @@ export class MenuManager {
   // ==========================================
   getPanel(name) { return document.querySelector(`.menu_panel_item[data-name="${name}"]`); }
   closePanels(panelNames = [], { animate = true, onComplete } = {}) {
+    [...panelNames].reverse().forEach(name => this._emit(MENU_EVENTS.PANEL_CLOSE, name));
     const elements = panelNames.map(n => this.getPanel(n)).filter(Boolean).reverse();
-    if (!elements.length) { onComplete && onComplete(); return; }
+    const done = () => { this._evictDynamicPanels(); onComplete && onComplete(); };
+    if (!elements.length) { done(); return; }
     if (!animate) {
       elements.forEach(p => { p.setAttribute('aria-hidden', 'true'); gsap.set(p, { xPercent: -101, pointerEvents: "none" }); const m = p.querySelector('.menu_panel_item_middle'); if (m) m.scrollTop = 0; });
-      onComplete && onComplete(); return;
+      done(); return;
     }
-    this.animatePanelsSequentially(elements, onComplete);
+    this.animatePanelsSequentially(elements, done);
   }
 
   /**
@@ -561,6 +734,23 @@ export class MenuManager {
       || null;
   }
 
+  /**
+   * Titre lisible d'un Dossier : en-tête du panel, page Dossier fetchée, bouton (ou manifest), sinon le slug
+   * @param {string} panelName - Le data-name du panel
+   * @returns {string}
+   */
+  getPanelTitle(panelName) {
+    const fromPanel = this.getPanel(panelName)?.querySelector('.menu_panel_item_title')?.textContent;
+    const doc = this.cmsFetchManager?.getCachedDoc(this._buildFetchUrl(panelName));
+    const fromDoc = doc?.querySelector('[data-panel-title], .menu_panel_item_title, h1')?.textContent;
+    const btn = this.findButtonByPanelName(panelName);
+    const fromButton = btn?.dataset.title || (btn && document.contains(btn) ? btn.textContent : '');
+    const title = [fromPanel, fromDoc, fromButton]
+      .map(text => (text || '').replace(/\s+/g, ' ').trim())
+      .find(Boolean);
+    return title || panelName.replace(/-/g, ' ');
+  }
+
   /**
    * Navigue vers un nouveau panel — pre-fetch au clic
    * @param {string} panelName - Le data-name du panel
@@ -575,11 +765,14 @@ export class MenuManager {
     this.showPanel(panelName);
     this.activeState.onOpen(panelName);
     this.updateExitAllButtonsVisibility();
+    this._syncUrl();
   }
 
   /**
    * Affiche un panel — le crée dynamiquement si inexistant, injecte le contenu fetché
    * @param {string} panelName - Le data-name du panel
+   * @returns {Promise<boolean>} Chargement du contenu (true si injecté) ; rejette si le fetch échoue.
+   *   Le rejet est déjà traité (état is-error) : l'attendre est facultatif.
    */
   showPanel(panelName, { skipAnimation = false } = {}) {
     let panel = document.querySelector(`.menu_panel_item[data-name="${panelName}"]`);
@@ -587,27 +780,81 @@ export class MenuManager {
     if (!panel) {
       panel = this._createDynamicPanel(panelName);
     }
-    if (!panel) return;
+    if (!panel) return Promise.resolve(false);
+    this._panelLastOpened.set(panelName, performance.now());
 
-    if (this.cmsFetchManager) {
-      const slot = panel.querySelector('.menu_panel_item_middle');
-      if (!slot?.dataset.fetched) {
-        slot?.classList.add('is-loading');
-        this.cmsFetchManager.fetchAndInject(this._buildFetchUrl(panelName), panel).then(injected => {
-          slot?.classList.remove('is-loading');
-          if (injected) {
-            this._attachEventsInPanel(panel);
-            window.richtextImages?.process(panel);
-            window.WindowUtils?.enhanceRichTextFigures?.();
-          }
-        });
-      }
-    }
+    const content = this._loadPanelContent(panel, panelName);
+    content.catch(() => {});
+    // Scroll fluide propre au panel (suspendu pendant un swipe de fermeture, voir MenuSwipeGesture)
+    this.smoothScrollManager?.enableMenuScroll?.(panel);
 
     panel.removeAttribute('aria-hidden');
     gsap.set(panel, { pointerEvents: "auto" });
-    if (skipAnimation) { gsap.set(panel, { xPercent: 0 }); return; }
-    gsap.to(panel, { duration: CONFIG.ANIMATION.DURATION, ease: CONFIG.ANIMATION.EASE.POWER2.OUT, xPercent: 0 });
+    this.keyboardNav.focusPanel(panel);
+    this._emit(MENU_EVENTS.PANEL_OPEN, panelName);
+    if (skipAnimation) {
+      gsap.set(panel, { xPercent: 0 });
+    } else {
+      gsap.to(panel, { duration: CONFIG.ANIMATION.DURATION, ease: CONFIG.ANIMATION.EASE.POWER2.OUT, xPercent: 0 });
+    }
+    return content;
+  }
+
+  /**
+   * Fetche et injecte le contenu d'un panel, ou affiche l'état d'erreur avec bouton "Réessayer"
+   * @param {HTMLElement} panel - Élément .menu_panel_item
+   * @param {string} panelName - Le data-name du panel
+   * @returns {Promise<boolean>}
+   */
+  _loadPanelContent(panel, panelName) {
+    const slot = panel.querySelector('.menu_panel_item_middle');
+    if (!this.cmsFetchManager || !slot || slot.dataset.fetched) return Promise.resolve(false);
+
+    slot.classList.remove('is-error');
+    slot.querySelector(':scope > .menu_panel_error')?.remove();
+    slot.classList.add('is-loading');
+    return this.cmsFetchManager.fetchAndInject(this._buildFetchUrl(panelName), panel).then(injected => {
+      slot.classList.remove('is-loading');
+      if (injected) {
+        this._attachEventsInPanel(panel);
+        this.breadcrumb.refresh();
+        this._emit(MENU_EVENTS.PANEL_CONTENT_INJECTED, panelName);
+        // Le contenu arrive après l'ouverture : descendre le focus sur le premier bouton
+        if (document.activeElement === panel) this.keyboardNav.focusPanel(panel);
+      }
+      return injected;
+    }, (error) => {
+      slot.classList.remove('is-loading');
+      logger.warn(` Chargement du panel "${panelName}" échoué:`, error.message);
+      this._renderPanelError(panel, panelName);
+      this._emit(MENU_EVENTS.PANEL_FETCH_ERROR, panelName, { error });
+      throw error;
+    });
+  }
+
+  // Affiche l'état d'erreur dans le slot du panel avec un bouton pour relancer le fetch
+  // Le contenu rendu par Webflow (panel statique) est conservé : le bloc d'erreur s'ajoute au-dessus
+  _renderPanelError(panel, panelName) {
+    const slot = panel.querySelector('.menu_panel_item_middle');
+    if (!slot) return;
+    slot.querySelector(':scope > .menu_panel_error')?.remove();
+    const hasNativeContent = !panel.classList.contains('is-dynamic') && slot.children.length > 0;
+
+    const notice = document.createElement('div');
+    notice.className = 'menu_panel_error';
+    notice.setAttribute('role', 'alert');
+    notice.innerHTML = `
+      <p class="menu_panel_error_text">Impossible de charger ce contenu.</p>
+      <button type="button" class="menu_panel_error_retry">Réessayer</button>`;
+    slot.classList.add('is-error');
+    if (hasNativeContent) slot.prepend(notice);
+    else slot.replaceChildren(notice);
+
+    notice.querySelector('.menu_panel_error_retry').addEventListener('click', (e) => {
+      e.stopPropagation();
+      notice.remove();
+      this._loadPanelContent(panel, panelName).catch(() => {});
+    }, { once: true });
   }
 
   // Crée un panel vide à la volée pour les Dossiers imbriqués découverts via fetch
@@ -616,6 +863,7 @@ export class MenuManager {
     panel.className = 'menu_panel_item is-dynamic';
     panel.dataset.name = panelName;
     panel.innerHTML = '<div class="menu_panel_item_middle"></div>';
+    this.keyboardNav.applyPanelSemantics(panel);
     gsap.set(panel, { xPercent: -101, pointerEvents: "none" });
     this.menu.appendChild(panel);
     return panel;
@@ -639,9 +887,22 @@ export class MenuManager {
         }
       }
     });
-    if (window.WindowUtils?.loadDeferredMedia) {
-      window.WindowUtils.loadDeferredMedia();
-    }
+    this.keyboardNav.applyButtonSemantics(container.querySelectorAll(CONFIG.SELECTORS.MENU_FOLDERS));
+  }
+
+  /**
+   * Émet un événement public du menu (voir MENU_EVENTS)
+   * @param {string} type
+   * @param {string|null} panelName - Panel concerné (null pour menu:open / menu:close)
+   * @param {Object} extra - Champs additionnels du detail (ex : error)
+   */
+  _emit(type, panelName = null, extra = {}) {
+    this.events.emit(type, {
+      panelName,
+      path: this.navigationState.snapshot(),
+      panel: panelName ? this.getPanel(panelName) : null,
+      ...extra
+    });
   }
 
   // Construit l'URL de fetch à partir du slug du panel
@@ -650,29 +911,167 @@ export class MenuManager {
   // Injecte le CmsFetchManager après init et lance le préchauffage en arrière-plan
   setCmsFetchManager(manager) {
     this.cmsFetchManager = manager;
-    this._warmupPromise = this._warmupButtonRegistry();
+    // Boutons Dossiers arrivés dans un lot différé (rendu par lots des longues listes)
+    manager.registerProcessor('menu-buttons', (root, { items }) => {
+      const panel = items && root.closest('.menu_panel_item');
+      if (panel) this._attachEventsInPanel(panel);
+    }, { order: 0 });
+    const manifestReady = this._manifestPromise || Promise.resolve(false);
+    // Avec un manifest, l'arborescence est connue : pas de préchauffage complet
+    this._warmupPromise = manifestReady.then(loaded => (loaded ? null : this._warmupButtonRegistry()));
+    document.addEventListener('visibilitychange', this._onVisibilityChange);
+    manifestReady.then(() => this.initUrlNavigation());
   }
 
+  // ==========================================
+  // MANIFEST DU MENU (ARBORESCENCE STATIQUE)
+  // ==========================================
+
   /**
-   * Préchauffage silencieux : fetche tous les panels niveau par niveau en parallèle
-   * pour peupler cmsButtons avant la première navigation
+   * Charge le manifest optionnel (slug → parent, titre, ordre) depuis un bloc JSON inline
+   * ou une URL, puis enregistre l'arborescence dans cmsButtons
+   * @returns {Promise<boolean>} true si un manifest a été chargé
    */
-  async _warmupButtonRegistry(maxDepth = 3) {
-    let toExplore = this.cmsButtons
-      .filter(btn => !btn.dataset.parent)
-      .map(btn => btn.dataset.name)
-      .filter(Boolean);
+  async loadManifest() {
+    const { URL: manifestUrl, INLINE_SELECTOR } = CONFIG.MENU_MANIFEST;
+    let manifest = null;
+    try {
+      const inline = INLINE_SELECTOR ? document.querySelector(INLINE_SELECTOR) : null;
+      if (inline) {
+        manifest = JSON.parse(inline.textContent);
+      } else if (manifestUrl) {
+        const response = await fetch(manifestUrl);
+        if (response.ok) manifest = await response.json();
+      }
+    } catch (error) {
+      logger.warn(' Manifest du menu illisible, retour au crawl:', error);
+      return false;
+    }
+    if (!manifest?.panels) return false;
 
-    for (let depth = 0; depth < maxDepth; depth++) {
-      await Promise.all(toExplore.map(name => this._registerButtonsFromFetch(name)));
-      const nextLevel = [];
-      toExplore.forEach(panelName => {
-        this.cmsButtons
-          .filter(btn => btn.dataset.parent === panelName && btn.dataset.name)
-          .forEach(btn => nextLevel.push(btn.dataset.name));
+    const count = this._registerButtonsFromManifest(manifest.panels);
+    this.manifestLoaded = true;
+    logger.menu(` Manifest du menu chargé (${count} Dossier(s) enregistré(s))`);
+    return true;
+  }
+
+  /**
+   * Crée des boutons fantômes pour chaque Dossier du manifest encore inconnu
+   * Les boutons réels du DOM restent prioritaires (voir findButtonByPanelName)
+   * @param {Object<string, {parent: ?string, title: string, order: number}>} panels
+   * @returns {number} Nombre de Dossiers ajoutés
+   */
+  _registerButtonsFromManifest(panels) {
+    let added = 0;
+    Object.entries(panels).forEach(([name, info]) => {
+      const existing = this.cmsButtons.find(b => b.dataset.name === name);
+      if (existing) {
+        if (info.title && !existing.dataset.title) existing.dataset.title = info.title;
+        return;
+      }
+      const ghost = document.createElement('div');
+      ghost.dataset.name = name;
+      if (info.parent) ghost.dataset.parent = info.parent;
+      if (info.title) ghost.dataset.title = info.title;
+      if (Number.isFinite(info.order)) ghost.dataset.order = String(info.order);
+      this.cmsButtons.push(ghost);
+      added++;
+    });
+    return added;
+  }
+
+  // ==========================================
+  // LIENS PROFONDS (URL ↔ HISTORIQUE)
+  // ==========================================
+
+  /**
+   * Écoute l'historique du navigateur et ouvre le chemin présent dans l'URL au chargement
+   * Appelé après l'injection du CmsFetchManager pour pouvoir fetcher les panels profonds
+   */
+  initUrlNavigation() {
+    if (this._urlNavigationInitialized) return;
+    this._urlNavigationInitialized = true;
+    this.urlSync.init();
+    const initialPath = this.urlSync.read();
+    if (initialPath.length) {
+      this._applyUrlPath(initialPath, { skipAnimation: true, seedHistory: true });
+    }
+  }
+
+  // Reflète l'historique courant dans l'URL (ignoré pendant l'application d'un chemin venant de l'URL)
+  _syncUrl() {
+    if (this._isApplyingUrlPath) return;
+    this.urlSync.write(this.navigationState.snapshot());
+  }
+
+  /**
+   * Aligne les panels ouverts sur un chemin lu dans l'URL (chargement ou popstate)
+   * @param {string[]} path - Chemin de panels, éventuellement réduit au panel cible
+   * @param {Object} options - { skipAnimation, seedHistory } ; seedHistory : arrivée sur un lien profond
+   */
+  async _applyUrlPath(path, { skipAnimation = false, seedHistory = false } = {}) {
+    if (path.join('/') === this.navigationState.snapshot().join('/')) return;
+
+    if (!path.length) {
+      this.closeMenu();
+      return;
+    }
+
+    // Préférer la hiérarchie connue ; découvrir le chemin si seul le panel cible est fourni
+    const target = path[path.length - 1];
+    let resolvedPath = this.buildAncestorPath(target);
+    if (!resolvedPath.length && path.length === 1 && this.cmsFetchManager) {
+      resolvedPath = await this._discoverPathByFetch(target);
+    }
+    if (!resolvedPath.length) resolvedPath = path;
+
+    // Levé dès les panels ouverts : les clics faits pendant le chargement du contenu sont reflétés dans l'URL
+    this._isApplyingUrlPath = true;
+    try {
+      if (!this.menu.classList.contains("is-active")) {
+        this.openMenu();
+        await new Promise(resolve => setTimeout(resolve, CONFIG.ANIMATION.DURATION * 1000));
+      }
+      const { content } = await this._openPathPanels(resolvedPath, { skipAnimation });
+      content.catch(error => {
+        // Le panel affiche déjà son état d'erreur ; l'URL reste partageable pour réessayer
+        logger.warn(' Lien profond partiellement ouvert:', error.message);
       });
-      toExplore = [...new Set(nextLevel)];
-      if (!toExplore.length) break;
+    } finally {
+      this._isApplyingUrlPath = false;
+    }
+
+    // Arrivée : une entrée d'historique par ancêtre (retour = fermeture du panel le plus profond)
+    if (seedHistory) {
+      this.urlSync.seed(this.navigationState.snapshot());
+    } else if (resolvedPath.join('/') !== path.join('/')) {
+      // Normaliser l'URL si le chemin a été complété
+      this.urlSync.replace(this.navigationState.snapshot());
+    }
+  }
+
+  /**
+   * Préchauffage silencieux : fetche les panels niveau par niveau en temps idle
+   * (concurrence limitée) pour peupler cmsButtons avant la première navigation.
+   * Interrompu quand la page est masquée, relancé à son retour
+   */
+  async _warmupButtonRegistry(maxDepth = CONFIG.MENU_CRAWL.MAX_DEPTH) {
+    this._warmupInterrupted = false;
+    try {
+      await this._crawlLevels({ priority: CRAWL_PRIORITY.WARMUP, maxDepth });
+    } catch (error) {
+      if (error.name !== 'AbortError') throw error;
+      this._warmupInterrupted = true;
+      logger.debug(' Préchauffage du menu interrompu (page masquée)');
+    }
+  }
+
+  // Annule le crawl de fond quand l'onglet est masqué et le relance au retour
+  _onVisibilityChange() {
+    if (document.visibilityState === 'hidden') {
+      this.crawler.cancel(entry => entry.priority >= CRAWL_PRIORITY.WARMUP);
+    } else if (this._warmupInterrupted && this.cmsFetchManager) {
+      this._warmupPromise = this._warmupButtonRegistry();
     }
   }
 
@@ -750,12 +1149,36 @@ export class MenuManager {
 
     // Mettre à jour les états actifs
     this.activeState.onClose(panelName);
+    this.keyboardNav.restoreFocus(panelName);
 
   this.closePanels(panelsToClose, { animate: true, onComplete: () => this.updateExitAllButtonsVisibility() });
   this.updateExitAllButtonsVisibility();
+  this._syncUrl();
   return true;
   }
 
+  /**
+   * Referme les panels plus profonds qu'un ancêtre ouvert (clic dans le fil d'Ariane)
+   * @param {string|null} ancestorName - Panel à garder comme courant ; null ferme tous les panels
+   * @returns {boolean} - True si des panels ont été fermés
+   */
+  trimToPanel(ancestorName) {
+    const history = this.navigationState.snapshot();
+    const idx = ancestorName ? history.indexOf(ancestorName) : -1;
+    if (ancestorName && idx === -1) return false;
+    const panelsToClose = history.slice(idx + 1);
+    if (!panelsToClose.length) return false;
+
+    this.navigationState.trimTo(ancestorName);
+    this.activeState.onClose(panelsToClose[0]);
+    this.keyboardNav.restoreFocus(panelsToClose[0]);
+
+    this.closePanels(panelsToClose, { animate: true, onComplete: () => this.updateExitAllButtonsVisibility() });
+    this.updateExitAllButtonsVisibility();
+    this._syncUrl();
+    return true;
+  }
+
   /**
    * Anime les panels séquentiellement
    * @param {HTMLElement[]} panels - Panels à animer
@@ -798,7 +1221,45 @@ export class MenuManager {
     if (this.smoothScrollManager) {
       this.smoothScrollManager.enableScroll();
     }
-    this.menu.querySelectorAll('.menu_panel_item.is-dynamic').forEach(p => p.remove());
+    this.menu.querySelectorAll('.menu_panel_item.is-dynamic').forEach(p => this._releaseDynamicPanel(p));
+  }
+
+  // Retire les panels dynamiques fermés les moins récemment ouverts au-delà de MAX_DYNAMIC_PANELS
+  // (recréés et ré-injectés depuis le cache à la prochaine ouverture)
+  _evictDynamicPanels() {
+    const open = new Set(this.navigationState.snapshot());
+    const lastOpened = (panel) => this._panelLastOpened.get(panel.dataset.name) || 0;
+    const closed = Array.from(this.menu.querySelectorAll('.menu_panel_item.is-dynamic'))
+      .filter(panel => !open.has(panel.dataset.name) && !gsap.isTweening(panel))
+      .sort((a, b) => lastOpened(a) - lastOpened(b));
+    closed.slice(0, Math.max(0, closed.length - this._maxDynamicPanels))
+      .forEach(panel => this._releaseDynamicPanel(panel));
+  }
+
+  // Retire un panel dynamique du DOM sans qu'aucune référence ne le retienne en mémoire
+  _releaseDynamicPanel(panel) {
+    panel.querySelectorAll(CONFIG.SELECTORS.MENU_FOLDERS).forEach(btn => {
+      this._prefetchObserver?.unobserve(btn);
+      // Bouton remplacé par un fantôme : la hiérarchie reste connue sans garder le panel
+      const index = this.cmsButtons.indexOf(btn);
+      if (index !== -1) this.cmsButtons[index] = this._createGhostButton(btn, panel.dataset.name);
+    });
+    this._panelLastOpened.delete(panel.dataset.name);
+    this.smoothScrollManager?.disableMenuScroll?.(panel);
+    panel.remove();
+  }
+
+  /**
+   * Occupation mémoire du menu (cache des pages Dossier + panels dynamiques) — voir DebugUtils
+   * @returns {Object}
+   */
+  getMemoryStats() {
+    return {
+      documents: this.cmsFetchManager?.memoryStats() || null,
+      dynamicPanels: this.menu?.querySelectorAll('.menu_panel_item.is-dynamic').length || 0,
+      maxDynamicPanels: this._maxDynamicPanels,
+      cmsButtons: this.cmsButtons.length
+    };
   }
 
   // ==========================================
@@ -806,6 +1267,14 @@ export class MenuManager {
   // ==========================================
   destroy() {
     document.removeEventListener('click', this._onDocumentClick);
+    document.removeEventListener('visibilitychange', this._onVisibilityChange);
+    this.crawler.cancel();
+    this._prefetchObserver?.disconnect();
+    this.urlSync.destroy();
+    this.keyboardNav.destroy();
+    this.search.destroy();
+    this.breadcrumb.destroy();
+    this.swipeGesture.destroy();
   }
 
 }
\ No newline at end of file
@@ -0,0 +1,403 @@
+// ==========================================
+// MenuSearch - Recherche côté client dans les Dossiers du menu
+// Indexe les titres des Dossiers et le contenu des pages en cache
+// (CmsFetchManager), classe les résultats sans tenir compte des accents
+// et ouvre le résultat choisi via MenuManager.navigateToPanel()
+// ==========================================
+import { CONFIG } from './config.js';
+import logger from './logger.js';
+import { foldChar, foldText } from './text-utils.js';
+
+// Mots vides ignorés dans la requête (sauf si la requête n'est faite que de ça)
+const STOP_WORDS = new Set(['le', 'la', 'les', 'l', 'un', 'une', 'des', 'de', 'du', 'd', 'et', 'ou', 'a', 'au', 'aux', 'en', 'sur', 'pour', 'par']);
+const MAX_INDEXED_TEXT = 2000;
+const SNIPPET_BEFORE = 40;
+const SNIPPET_LENGTH = 140;
+
+// Comme foldText, avec la position de chaque caractère replié dans le texte d'origine
+function foldWithMap(text) {
+  let folded = '';
+  const map = [];
+  for (let i = 0; i < text.length; i++) {
+    const f = foldChar(text[i]);
+    for (let k = 0; k < f.length; k++) map.push(i);
+    folded += f;
+  }
+  map.push(text.length);
+  return { folded, map };
+}
+
+const cleanText = (text) => (text || '').replace(/\s+/g, ' ').trim();
+const isWordStart = (folded, index) => index === 0 || !/[a-z0-9]/.test(folded[index - 1]);
+
+export class MenuSearch {
+  constructor(menuManager) {
+    this.menuManager = menuManager;
+    this.menu = menuManager.menu;
+    this.root = null;
+    this.input = null;
+    this.results = null;
+    this.status = null;
+    this._index = [];
+    this._indexRevision = -1;
+    this._indexButtonCount = -1;
+    this._debounceTimer = null;
+    this._highlightTimer = null;
+    this._watchedCrawl = null;
+    this._onInput = this._onInput.bind(this);
+    this._onKeyDown = this._onKeyDown.bind(this);
+    this._onFocus = this._onFocus.bind(this);
+  }
+
+  init() {
+    if (!CONFIG.MENU_SEARCH.ENABLED || !this.menu) return;
+    this.root = this.menu.querySelector(CONFIG.SELECTORS.MENU_SEARCH) || this._createSearchBlock();
+    if (!this.root) return;
+    this.input = this.root.querySelector('input');
+    this.results = this.root.querySelector('[data-menu-search-results]') || this._appendChild('ul', 'menu_search_results', 'data-menu-search-results');
+    this.status = this.root.querySelector('[data-menu-search-status]') || this._appendChild('p', 'menu_search_status', 'data-menu-search-status');
+    if (!this.input) {
+      logger.warn(' MenuSearch: aucun <input> dans [data-menu-search]');
+      return;
+    }
+    this.results.setAttribute('role', 'list');
+    this.status.setAttribute('aria-live', 'polite');
+    this.input.addEventListener('input', this._onInput);
+    this.input.addEventListener('focus', this._onFocus);
+    this.root.addEventListener('keydown', this._onKeyDown);
+  }
+
+  // Bloc par défaut, en tête du premier panel, si le designer n'en a pas placé dans Webflow
+  _createSearchBlock() {
+    const host = this.menuManager.menuFirstPanelItem;
+    if (!host) return null;
+    const root = document.createElement('div');
+    root.className = 'menu_search';
+    root.setAttribute('data-menu-search', '');
+    root.setAttribute('role', 'search');
+    root.innerHTML = '<input type="search" class="menu_search_input" placeholder="Rechercher…" aria-label="Rechercher dans le menu" autocomplete="off">';
+    host.insertBefore(root, host.firstChild);
+    return root;
+  }
+
+  _appendChild(tag, className, attribute) {
+    const el = document.createElement(tag);
+    el.className = className;
+    el.setAttribute(attribute, '');
+    this.root.appendChild(el);
+    return el;
+  }
+
+  // ==========================================
+  // INDEX
+  // ==========================================
+
+  // Reconstruit l'index si de nouveaux documents ou Dossiers sont arrivés depuis le dernier passage
+  _ensureIndex() {
+    const fetchManager = this.menuManager.cmsFetchManager;
+    const revision = fetchManager ? fetchManager.revision : 0;
+    const buttonCount = this.menuManager.cmsButtons.length;
+    if (revision === this._indexRevision && buttonCount === this._indexButtonCount) return this._index;
+
+    const entries = [];
+    const seenDossiers = new Set();
+    this.menuManager.cmsButtons.forEach(btn => {
+      const name = btn.dataset.name;
+      if (!name || seenDossiers.has(name)) return;
+      seenDossiers.add(name);
+      const title = this.menuManager.getPanelTitle(name);
+      entries.push({ type: 'dossier', panelName: name, title, text: '', foldedTitle: foldText(title), foldedText: '' });
+    });
+
+    const prefix = `${CONFIG.FETCH_BASE_PATH}/`;
+    fetchManager?.cachedDocuments().forEach(([url, doc]) => {
+      if (!url.startsWith(prefix)) return;
+      // Page suivante d'une liste paginée (?xxx_page=2) : rattachée à son Dossier, sans position exacte
+      const [panelName, query] = url.slice(prefix.length).split('?');
+      const source = doc.querySelector('[data-panel-target]');
+      if (!source) return;
+      MenuSearch.collectItems(source).forEach((item, index) => {
+        const text = cleanText(item.textContent).slice(0, MAX_INDEXED_TEXT);
+        if (!text) return;
+        const title = this._itemTitle(item, text);
+        const itemIndex = query ? null : index;
+        entries.push({ type: 'content', panelName, itemIndex, title, text, foldedTitle: foldText(title), foldedText: foldText(text) });
+      });
+    });
+
+    this._index = entries;
+    this._indexRevision = revision;
+    this._indexButtonCount = buttonCount;
+    return entries;
+  }
+
+  /**
+   * Éléments de contenu indexables d'un fragment (les plus externes seulement, hors boutons Dossiers)
+   * Même ordre dans le document fetché et dans le slot injecté : l'index sert à retrouver l'élément
+   * @param {Element} container
+   * @returns {Element[]}
+   */
+  static collectItems(container) {
+    const { ITEM_SELECTOR } = CONFIG.MENU_SEARCH;
+    return Array.from(container.querySelectorAll(ITEM_SELECTOR)).filter(item => (
+      !item.parentElement?.closest(ITEM_SELECTOR)
+      && !item.matches(CONFIG.SELECTORS.MENU_FOLDERS)
+      && !item.querySelector(CONFIG.SELECTORS.MENU_FOLDERS)
+    ));
+  }
+
+  _itemTitle(item, text) {
+    const heading = item.querySelector('[data-search-title], h1, h2, h3, h4, h5, h6');
+    const title = cleanText(heading?.textContent);
+    if (title) return title;
+    return text.length > 80 ? `${text.slice(0, 80)}…` : text;
+  }
+
+  // ==========================================
+  // RECHERCHE
+  // ==========================================
+
+  /**
+   * Recherche dans l'index ; chaque mot de la requête doit être présent (titre ou texte)
+   * @param {string} query
+   * @returns {{entry: Object, score: number, tokens: string[]}[]}
+   */
+  search(query) {
+    const tokens = this._tokenize(query);
+    if (!tokens.length) return [];
+    const phrase = foldText(cleanText(query));
+    const results = [];
+
+    this._ensureIndex().forEach(entry => {
+      let score = 0;
+      for (const token of tokens) {
+        const tokenScore = this._scoreToken(entry, token);
+        if (!tokenScore) return;
+        score += tokenScore;
+      }
+      if (tokens.length > 1 && entry.foldedTitle.includes(phrase)) score += 8;
+      if (entry.type === 'dossier') score += 2;
+      results.push({ entry, score, tokens });
+    });
+
+    return results
+      .sort((a, b) => (b.score - a.score) || (a.entry.title.length - b.entry.title.length))
+      .slice(0, CONFIG.MENU_SEARCH.MAX_RESULTS);
+  }
+
+  _tokenize(query) {
+    const words = foldText(query).split(/[^a-z0-9]+/).filter(Boolean);
+    const meaningful = words.filter(word => !STOP_WORDS.has(word));
+    return meaningful.length ? meaningful : words;
+  }
+
+  // Titre > texte, début de mot > milieu de mot ; 0 si le mot est absent
+  _scoreToken(entry, token) {
+    const inTitle = this._findWordStart(entry.foldedTitle, token);
+    if (inTitle === 'start') return 10;
+    if (inTitle === 'inner') return 6;
+    const inText = this._findWordStart(entry.foldedText, token);
+    if (inText === 'start') return 3;
+    if (inText === 'inner') return 1;
+    return 0;
+  }
+
+  _findWordStart(folded, token) {
+    let index = folded.indexOf(token);
+    if (index === -1) return null;
+    while (index !== -1) {
+      if (isWordStart(folded, index)) return 'start';
+      index = folded.indexOf(token, index + 1);
+    }
+    return 'inner';
+  }
+
+  // ==========================================
+  // RENDU
+  // ==========================================
+
+  _onInput() {
+    clearTimeout(this._debounceTimer);
+    this._debounceTimer = setTimeout(() => this.render(), CONFIG.MENU_SEARCH.DEBOUNCE);
+  }
+
+  // L'intention de recherche justifie de compléter le cache de toute l'arborescence
+  _onFocus() {
+    const crawl = this.menuManager.fetchAllPanels();
+    if (!crawl || crawl === this._watchedCrawl) return;
+    this._watchedCrawl = crawl;
+    crawl.then(() => {
+      if (this.input?.value.trim()) this.render();
+    });
+  }
+
+  render() {
+    if (!this.results) return;
+    const query = this.input.value.trim();
+    this.results.innerHTML = '';
+    if (query.length < CONFIG.MENU_SEARCH.MIN_QUERY_LENGTH) {
+      this.status.textContent = '';
+      this.root.classList.remove('is-searching');
+      return;
+    }
+
+    const matches = this.search(query);
+    this.root.classList.add('is-searching');
+    matches.forEach(match => this.results.appendChild(this._renderResult(match)));
+    this.status.textContent = matches.length
+      ? `${matches.length} résultat${matches.length > 1 ? 's' : ''}`
+      : 'Aucun résultat';
+  }
+
+  _renderResult({ entry, tokens }) {
+    const li = document.createElement('li');
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = `menu_search_result is-${entry.type}`;
+
+    const title = document.createElement('span');
+    title.className = 'menu_search_result_title';
+    title.appendChild(this._highlightText(entry.title, tokens));
+    button.appendChild(title);
+
+    const path = this.menuManager.buildAncestorPath(entry.panelName);
+    const crumbs = entry.type === 'dossier' ? path.slice(0, -1) : path;
+    if (crumbs.length) {
+      const pathEl = document.createElement('span');
+      pathEl.className = 'menu_search_result_path';
+      pathEl.textContent = crumbs.map(name => this.menuManager.getPanelTitle(name)).join(' › ');
+      button.appendChild(pathEl);
+    }
+
+    if (entry.type === 'content' && entry.text !== entry.title) {
+      const snippet = document.createElement('span');
+      snippet.className = 'menu_search_result_snippet';
+      snippet.appendChild(this._highlightText(this._snippet(entry.text, tokens), tokens));
+      button.appendChild(snippet);
+    }
+
+    button.addEventListener('click', () => this.open(entry));
+    li.appendChild(button);
+    return li;
+  }
+
+  // Extrait du texte centré sur la première occurrence d'un mot recherché
+  _snippet(text, tokens) {
+    const { folded, map } = foldWithMap(text);
+    const positions = tokens.map(token => folded.indexOf(token)).filter(i => i !== -1);
+    const first = positions.length ? map[Math.min(...positions)] : 0;
+    const start = Math.max(0, first - SNIPPET_BEFORE);
+    const end = Math.min(text.length, start + SNIPPET_LENGTH);
+    return `${start > 0 ? '…' : ''}${text.slice(start, end).trim()}${end < text.length ? '…' : ''}`;
+  }
+
+  // Entoure les occurrences (insensibles aux accents) de <mark>, sans passer par innerHTML
+  _highlightText(text, tokens) {
+    const fragment = document.createDocumentFragment();
+    const { folded, map } = foldWithMap(text);
+    const ranges = [];
+    tokens.forEach(token => {
+      let index = folded.indexOf(token);
+      while (index !== -1) {
+        ranges.push([map[index], map[index + token.length]]);
+        index = folded.indexOf(token, index + token.length);
+      }
+    });
+    ranges.sort((a, b) => a[0] - b[0]);
+
+    let cursor = 0;
+    ranges.forEach(([start, end]) => {
+      if (end <= cursor) return;
+      start = Math.max(start, cursor);
+      if (start > cursor) fragment.appendChild(document.createTextNode(text.slice(cursor, start)));
+      const mark = document.createElement('mark');
+      mark.textContent = text.slice(start, end);
+      fragment.appendChild(mark);
+      cursor = end;
+    });
+    if (cursor < text.length) fragment.appendChild(document.createTextNode(text.slice(cursor)));
+    return fragment;
+  }
+
+  // ==========================================
+  // OUVERTURE D'UN RÉSULTAT
+  // ==========================================
+
+  /**
+   * Ouvre le Dossier du résultat (avec tous ses ancêtres) puis met en évidence l'élément trouvé
+   * @param {Object} entry - Entrée de l'index
+   */
+  async open(entry) {
+    try {
+      await this.menuManager.navigateToPanel(entry.panelName);
+    } catch (error) {
+      logger.warn(` Résultat de recherche "${entry.title}" inaccessible:`, error.message);
+      return;
+    }
+    if (entry.type === 'content') this.highlightItem(entry.panelName, entry.itemIndex);
+  }
+
+  async highlightItem(panelName, itemIndex) {
+    const panel = this.menuManager.getPanel(panelName);
+    // Longues listes rendues par lots : attendre que l'élément soit dans le DOM
+    await this.menuManager.cmsFetchManager?.whenRendered(panel);
+    const slot = panel?.querySelector('.menu_panel_item_middle');
+    const item = slot ? MenuSearch.collectItems(slot)[itemIndex] : null;
+    if (!item) return;
+
+    clearTimeout(this._highlightTimer);
+    this.menu.querySelectorAll('.is-search-hit').forEach(el => el.classList.remove('is-search-hit'));
+    item.classList.add('is-search-hit');
+    item.scrollIntoView({ block: 'center', behavior: 'smooth' });
+    this._highlightTimer = setTimeout(() => item.classList.remove('is-search-hit'), CONFIG.MENU_SEARCH.HIGHLIGHT_DURATION);
+  }
+
+  // ==========================================
+  // CLAVIER
+  // ==========================================
+
+  // Flèches entre le champ et les résultats, Entrée ouvre le premier résultat, Échap vide le champ
+  _onKeyDown(e) {
+    const buttons = Array.from(this.results.querySelectorAll('.menu_search_result'));
+    const idx = buttons.indexOf(e.target);
+
+    if (e.target === this.input) {
+      if (e.key === 'ArrowDown' && buttons.length) {
+        e.preventDefault();
+        buttons[0].focus();
+      } else if (e.key === 'Enter' && buttons.length) {
+        e.preventDefault();
+        buttons[0].click();
+      } else if (e.key === 'Escape' && this.input.value) {
+        e.preventDefault();
+        this.clear();
+      }
+      return;
+    }
+
+    if (idx === -1) return;
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const next = idx + (e.key === 'ArrowDown' ? 1 : -1);
+      (next < 0 ? this.input : buttons[Math.min(next, buttons.length - 1)]).focus();
+    } else if (e.key === 'Backspace') {
+      // Depuis un résultat : retour au champ, avant que MenuKeyboardNavigation ne ferme le panel courant
+      e.preventDefault();
+      this.input.focus();
+    }
+  }
+
+  clear() {
+    if (!this.input) return;
+    this.input.value = '';
+    this.render();
+  }
+
+  destroy() {
+    clearTimeout(this._debounceTimer);
+    clearTimeout(this._highlightTimer);
+    this.input?.removeEventListener('input', this._onInput);
+    this.input?.removeEventListener('focus', this._onFocus);
+    this.root?.removeEventListener('keydown', this._onKeyDown);
+  }
+}
@@ -0,0 +1,193 @@
+// ==========================================
+// MenuSwipeGesture - Swipe de fermeture des panels du menu (tactile)
+// Le panel courant suit le doigt (GSAP xPercent) et se ferme via
+// MenuManager.closePanel() au-delà d'un seuil ou sur un geste rapide ;
+// sinon il revient en place. Le Lenis du panel est suspendu pendant le geste
+// ==========================================
+import { CONFIG } from './config.js';
+import { MENU_EVENTS } from './menu-events.js';
+
+const CLOSED_X_PERCENT = -101;   // Position d'un panel fermé (cf. MenuManager.closePanels)
+const MIN_COMPLETE_DURATION = 0.12;
+const SPRING_DURATION = 0.5;
+
+export class MenuSwipeGesture {
+  constructor(menuManager) {
+    this.menuManager = menuManager;
+    this.menu = menuManager.menu;
+    this._drag = null;
+    this._unsubscribe = null;
+    this._onPointerDown = this._onPointerDown.bind(this);
+    this._onPointerMove = this._onPointerMove.bind(this);
+    this._onPointerUp = this._onPointerUp.bind(this);
+    this._onPointerCancel = this._onPointerCancel.bind(this);
+    this._suppressClick = this._suppressClick.bind(this);
+  }
+
+  init() {
+    if (!CONFIG.MENU_SWIPE.ENABLED || !this.menu) return;
+    this.menu.addEventListener('pointerdown', this._onPointerDown);
+    // Laisser le scroll vertical au navigateur, le geste horizontal au JS
+    this._unsubscribe = this.menuManager.events.on(MENU_EVENTS.PANEL_OPEN, ({ panel }) => this.preparePanel(panel));
+  }
+
+  preparePanel(panel) {
+    if (!panel) return;
+    panel.style.touchAction = 'pan-y';
+    const middle = panel.querySelector('.menu_panel_item_middle');
+    if (middle) middle.style.touchAction = 'pan-y';
+  }
+
+  // ==========================================
+  // GESTE
+  // ==========================================
+
+  _onPointerDown(e) {
+    if (e.pointerType === 'mouse' || !e.isPrimary || this._drag) return;
+    const panelName = this.menuManager.navigationState.current();
+    const panel = panelName ? this.menuManager.getPanel(panelName) : null;
+    if (!panel || !panel.contains(e.target) || gsap.isTweening(panel)) return;
+
+    const rect = panel.getBoundingClientRect();
+    const fromEdge = rect.right - e.clientX <= CONFIG.MENU_SWIPE.EDGE_WIDTH;
+    if (!fromEdge && e.target.closest(CONFIG.MENU_SWIPE.IGNORE_SELECTOR)) return;
+
+    this._drag = {
+      panel,
+      panelName,
+      pointerId: e.pointerId,
+      startX: e.clientX,
+      startY: e.clientY,
+      lastX: e.clientX,
+      lastTime: e.timeStamp,
+      velocity: 0,
+      width: rect.width || window.innerWidth,
+      // Depuis le bord : tout geste vers la gauche est capté, même en diagonale
+      fromEdge,
+      axis: null,
+      lenis: null
+    };
+    window.addEventListener('pointermove', this._onPointerMove, { passive: true });
+    window.addEventListener('pointerup', this._onPointerUp);
+    window.addEventListener('pointercancel', this._onPointerCancel);
+  }
+
+  _onPointerMove(e) {
+    const drag = this._drag;
+    if (!drag || e.pointerId !== drag.pointerId) return;
+    const dx = e.clientX - drag.startX;
+    const dy = e.clientY - drag.startY;
+
+    if (!drag.axis) {
+      if (Math.hypot(dx, dy) < CONFIG.MENU_SWIPE.SLOP) return;
+      // Seul un geste vers la gauche (sens de fermeture) est capté
+      const isHorizontal = drag.fromEdge || Math.abs(dx) > Math.abs(dy);
+      if (!isHorizontal || dx >= 0) {
+        this._release();
+        return;
+      }
+      drag.axis = 'x';
+      this._beginDrag();
+    }
+
+    const elapsed = e.timeStamp - drag.lastTime;
+    if (elapsed > 0) {
+      // Vitesse lissée (px/ms, négative vers la gauche)
+      drag.velocity = 0.8 * ((e.clientX - drag.lastX) / elapsed) + 0.2 * drag.velocity;
+      drag.lastX = e.clientX;
+      drag.lastTime = e.timeStamp;
+    }
+    gsap.set(drag.panel, { xPercent: -this._progress(dx) * 100 });
+  }
+
+  _onPointerUp(e) {
+    const drag = this._drag;
+    if (!drag || e.pointerId !== drag.pointerId) return;
+    if (drag.axis !== 'x') {
+      this._release();
+      return;
+    }
+    const progress = this._progress(e.clientX - drag.startX);
+    const { THRESHOLD, VELOCITY } = CONFIG.MENU_SWIPE;
+    const isFling = drag.velocity <= -VELOCITY;
+    const isReturning = drag.velocity >= VELOCITY;
+    // Ignorer le click synthétique qui suit le relâchement
+    this.menu.addEventListener('click', this._suppressClick, { capture: true, once: true });
+    setTimeout(() => this.menu.removeEventListener('click', this._suppressClick, { capture: true }), 0);
+
+    if (isFling || (progress >= THRESHOLD && !isReturning)) {
+      this._complete(drag, progress);
+    } else {
+      this._cancel(drag);
+    }
+  }
+
+  _onPointerCancel(e) {
+    const drag = this._drag;
+    if (!drag || e.pointerId !== drag.pointerId) return;
+    if (drag.axis === 'x') this._cancel(drag);
+    else this._release();
+  }
+
+  _progress(dx) {
+    return Math.min(1, Math.max(0, -dx / this._drag.width));
+  }
+
+  _beginDrag() {
+    const drag = this._drag;
+    gsap.killTweensOf(drag.panel);
+    drag.panel.classList.add('is-dragging');
+    // Suspendre le scroll fluide du panel pendant le geste horizontal
+    drag.lenis = this.menuManager.smoothScrollManager?.getMenuScroll?.(drag.panel) || null;
+    drag.lenis?.stop();
+  }
+
+  // Termine le geste en conservant la vitesse du doigt, puis ferme le panel
+  _complete(drag, progress) {
+    const remaining = (1 - progress) * drag.width;
+    const speed = Math.max(Math.abs(drag.velocity), 1); // px/ms
+    const duration = Math.min(CONFIG.ANIMATION.DURATION, Math.max(MIN_COMPLETE_DURATION, remaining / speed / 1000));
+    this._release();
+    gsap.to(drag.panel, {
+      xPercent: CLOSED_X_PERCENT,
+      duration,
+      ease: CONFIG.ANIMATION.EASE.POWER2.OUT,
+      onComplete: () => {
+        drag.lenis?.start();
+        this.menuManager.closePanel(drag.panelName);
+      }
+    });
+  }
+
+  // Retour en place avec un léger rebond
+  _cancel(drag) {
+    this._release();
+    gsap.to(drag.panel, {
+      xPercent: 0,
+      duration: SPRING_DURATION,
+      ease: 'back.out(1.7)',
+      onComplete: () => drag.lenis?.start()
+    });
+  }
+
+  _release() {
+    if (!this._drag) return;
+    this._drag.panel.classList.remove('is-dragging');
+    this._drag = null;
+    window.removeEventListener('pointermove', this._onPointerMove);
+    window.removeEventListener('pointerup', this._onPointerUp);
+    window.removeEventListener('pointercancel', this._onPointerCancel);
+  }
+
+  _suppressClick(e) {
+    e.preventDefault();
+    e.stopPropagation();
+  }
+
+  destroy() {
+    this._drag?.lenis?.start();
+    this._release();
+    this.menu?.removeEventListener('pointerdown', this._onPointerDown);
+    this._unsubscribe?.();
+  }
+}
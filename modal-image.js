@@ -1,5 +1,11 @@
 // Module: Image modal léger
 // Ajoute une modal centrée pour afficher une image cliquée
+import { WINDOW_EVENT_PREFIX } from './event-bus.js';
+import { MENU_EVENTS } from './menu-events.js';
+
+// Events du menu qui changent le dossier courant (relayés sur window par l'EventBus du menu)
+const MENU_PATH_EVENTS = [MENU_EVENTS.PANEL_OPEN, MENU_EVENTS.PANEL_CLOSE, MENU_EVENTS.MENU_CLOSE]
+  .map(type => `${WINDOW_EVENT_PREFIX}${type}`);
 
 export class ImageModal {
   constructor(options = {}) {
@@ -14,6 +20,9 @@ export class ImageModal {
     this.backgroundAttribute = options.backgroundAttribute || 'data-image-modal-background';
     this._boundClick = this._onDocumentClick.bind(this);
     this._boundKeydown = this._onKeyDown.bind(this);
+    this._boundMenuPath = this._onMenuPathChange.bind(this);
+    // Dernier dossier ouvert dans le menu (suivi via les events du menu)
+    this._currentFolderName = null;
     this._overlay = null;
     this._swiperInstance = null;
     this._slideMediaRefs = [];
@@ -32,6 +41,7 @@ export class ImageModal {
     // Attacher délégation d'événement au document
     document.addEventListener('click', this._boundClick, true);
     document.addEventListener('keydown', this._boundKeydown, true);
+    MENU_PATH_EVENTS.forEach(type => window.addEventListener(type, this._boundMenuPath));
     // Transfer possible exclusion flags from <figcaption> to contained images
     // Wait for Finsweet CMS to finish loading if it's present
     this._waitForFinsweet().then(() => {
@@ -185,6 +195,7 @@ export class ImageModal {
   destroy() {
     document.removeEventListener('click', this._boundClick, true);
     document.removeEventListener('keydown', this._boundKeydown, true);
+    MENU_PATH_EVENTS.forEach(type => window.removeEventListener(type, this._boundMenuPath));
     this._removeOverlay();
     // Stop observing DOM changes
     if (this._observer) {
@@ -244,6 +255,8 @@ export class ImageModal {
   _onKeyDown(e) {
     if (!this._overlay) return;
     if (e.key === 'Escape') {
+      // Consommer l'événement pour que le menu (en dessous) ne ferme pas aussi son panel
+      e.stopPropagation();
       this.close();
     }
   }
@@ -473,11 +486,16 @@ export class ImageModal {
     return null;
   }
 
+  _onMenuPathChange(event) {
+    const path = event.detail?.path || [];
+    this._currentFolderName = path[path.length - 1] || null;
+  }
+
   _getLastOpenedFolderElement() {
     try {
-      const folderName = window.app?.menuManager?.navigationState?.current();
+      const folderName = this._currentFolderName;
       if (!folderName) return null;
-      return document.querySelector(`.menu_panel .menu_panel_item[data-name="${folderName}"]`);
+      return document.querySelector(`.menu_panel_item[data-name="${folderName}"]`);
     } catch (e) {
       return null;
     }
@@ -1,12 +1,15 @@
 // ==========================================
 // NavigationActiveState - Gestion des états actifs & breadcrumb
 // Externalisation depuis MenuManager pour alléger le fichier principal
+// Pilote aussi les attributs ARIA (aria-expanded / aria-current) des boutons Dossiers
+// et notifie les changements de chemin (fil d'Ariane visible)
 // ==========================================
 export class NavigationActiveState {
-  constructor(findButtonByPanelName) {
+  constructor(findButtonByPanelName, { onChange = null } = {}) {
     this.activeElements = new Set();
     this.currentActivePath = [];
     this._findButton = findButtonByPanelName; // fonction fournie par MenuManager
+    this._onChange = onChange;                // appelée avec le chemin actif après chaque mise à jour
   }
 
   // Réinitialise tous les états actifs
@@ -15,8 +18,10 @@ export class NavigationActiveState {
     document.querySelectorAll('.menu_panel_item.is-current').forEach(p => p.classList.remove('is-current'));
     document.querySelectorAll('.menu_panel_collection_item.is-btn.is-active, .menu_panel_collection_item.is-btn.is-breadcrumb')
       .forEach(b => b.classList.remove('is-active','is-breadcrumb'));
+    this.clearAria();
     this.activeElements.clear();
     this.currentActivePath = [];
+    this._onChange?.(this.snapshotPath());
   }
 
   // Met à jour après ouverture d'un panel
@@ -42,7 +47,7 @@ export class NavigationActiveState {
       const panel = document.querySelector(`.menu_panel_item[data-name="${name}"]`);
       if (panel) { panel.classList.add('is-active'); this.activeElements.add(name); }
       const btn = this._findButton(name);
-      if (btn) btn.classList.add('is-active');
+      if (btn) { btn.classList.add('is-active'); btn.setAttribute('aria-expanded', 'true'); }
     });
 
     // Panel courant
@@ -50,6 +55,8 @@ export class NavigationActiveState {
     if (current) {
       const panel = document.querySelector(`.menu_panel_item[data-name="${current}"]`);
       if (panel) panel.classList.add('is-current');
+      const btn = this._findButton(current);
+      if (btn) btn.setAttribute('aria-current', 'true');
     }
 
     // Breadcrumb (tous sauf le dernier)
@@ -57,6 +64,8 @@ export class NavigationActiveState {
       const btn = this._findButton(this.currentActivePath[i]);
       if (btn) btn.classList.add('is-breadcrumb');
     }
+
+    this._onChange?.(this.snapshotPath());
   }
 
   clearVisualOnly() {
@@ -64,9 +73,16 @@ export class NavigationActiveState {
     document.querySelectorAll('.menu_panel_item.is-current').forEach(p => p.classList.remove('is-current'));
     document.querySelectorAll('.menu_panel_collection_item.is-btn.is-active').forEach(b => b.classList.remove('is-active'));
     document.querySelectorAll('.menu_panel_collection_item.is-btn.is-breadcrumb').forEach(b => b.classList.remove('is-breadcrumb'));
+    this.clearAria();
     this.activeElements.clear();
   }
 
+  // Remet les boutons Dossiers à l'état replié
+  clearAria() {
+    document.querySelectorAll('.menu_panel_collection_item.is-btn[aria-expanded="true"]').forEach(b => b.setAttribute('aria-expanded', 'false'));
+    document.querySelectorAll('.menu_panel_collection_item.is-btn[aria-current]').forEach(b => b.removeAttribute('aria-current'));
+  }
+
   isActive(name) { return this.activeElements.has(name); }
   current() { return this.currentActivePath[this.currentActivePath.length - 1] || null; }
   snapshotPath() { return [...this.currentActivePath]; }
@@ -0,0 +1,90 @@
+// ==========================================
+// NavigationBreadcrumb - Fil d'Ariane visible du menu
+// Rendu à chaque changement de NavigationActiveState ; un clic sur un
+// ancêtre referme les panels plus profonds (MenuManager.trimToPanel)
+// ==========================================
+import { CONFIG } from './config.js';
+
+export class NavigationBreadcrumb {
+  constructor(menuManager) {
+    this.menuManager = menuManager;
+    this.menu = menuManager.menu;
+    this.root = null;
+    this.list = null;
+    this._path = [];
+    this._onClick = this._onClick.bind(this);
+  }
+
+  init() {
+    if (!this.menu) return;
+    this.root = this.menu.querySelector(CONFIG.SELECTORS.MENU_BREADCRUMB) || this._createBar();
+    this.list = this.root.querySelector('ol, ul') || this.root.appendChild(document.createElement('ol'));
+    this.list.classList.add('menu_breadcrumb_list');
+    if (!this.root.hasAttribute('aria-label')) this.root.setAttribute('aria-label', "Fil d'Ariane du menu");
+    this.root.addEventListener('click', this._onClick);
+    this.render([]);
+  }
+
+  // Barre par défaut, en tête du menu, si le designer n'en a pas placé dans Webflow
+  _createBar() {
+    const nav = document.createElement('nav');
+    nav.className = 'menu_breadcrumb';
+    nav.setAttribute('data-menu-breadcrumb', '');
+    this.menu.insertBefore(nav, this.menu.firstChild);
+    return nav;
+  }
+
+  /**
+   * Affiche le chemin ouvert : « Menu › Urbanisme › Quartiers » (le dernier n'est pas cliquable)
+   * @param {string[]} path - Panels ouverts, de la racine au panel courant
+   */
+  render(path) {
+    if (!this.list) return;
+    this._path = [...path];
+    this.list.innerHTML = '';
+    this.root.classList.toggle('is-empty', !path.length);
+    this.root.hidden = !path.length;
+    if (!path.length) return;
+
+    this.list.appendChild(this._createCrumb('Menu', null, false));
+    path.forEach((panelName, i) => {
+      const isCurrent = i === path.length - 1;
+      this.list.appendChild(this._createCrumb(this.menuManager.getPanelTitle(panelName), panelName, isCurrent));
+    });
+  }
+
+  // Re-rend le chemin courant (ex : titre disponible après le fetch du panel)
+  refresh() { this.render(this._path); }
+
+  _createCrumb(title, panelName, isCurrent) {
+    const li = document.createElement('li');
+    li.className = 'menu_breadcrumb_item';
+    if (isCurrent) {
+      const span = document.createElement('span');
+      span.className = 'menu_breadcrumb_link is-current';
+      span.setAttribute('aria-current', 'location');
+      span.textContent = title;
+      li.appendChild(span);
+      return li;
+    }
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'menu_breadcrumb_link';
+    // Racine : data-panel vide → ferme tous les panels sans fermer le menu
+    button.dataset.panel = panelName || '';
+    button.textContent = title;
+    li.appendChild(button);
+    return li;
+  }
+
+  _onClick(e) {
+    const crumb = e.target.closest('button.menu_breadcrumb_link');
+    if (!crumb || !this.root.contains(crumb)) return;
+    e.stopPropagation();
+    this.menuManager.trimToPanel(crumb.dataset.panel || null);
+  }
+
+  destroy() {
+    this.root?.removeEventListener('click', this._onClick);
+  }
+}
@@ -0,0 +1,130 @@
+// ==========================================
+// NavigationUrlSync - Reflet de l'historique des panels dans l'URL
+// Externalisé depuis MenuManager : lecture/écriture du chemin (hash ou query)
+// et écoute de popstate pour le bouton retour du navigateur
+// ==========================================
+import { CONFIG } from './config.js';
+
+export class NavigationUrlSync {
+  constructor(onPathChange) {
+    this._onPathChange = onPathChange; // fonction fournie par MenuManager
+    this.mode = CONFIG.MENU_URL.MODE;
+    this.param = CONFIG.MENU_URL.PARAM;
+    this._stack = []; // chemins des entrées d'historique créées pendant la session
+    this._isTraversing = false; // history.go() en cours (asynchrone, terminé au popstate)
+    this._queued = null;        // dernière écriture demandée pendant ce parcours
+    this._onPopState = this._onPopState.bind(this);
+  }
+
+  // Enregistre l'entrée initiale et écoute le bouton retour/avant
+  init() {
+    this._stack = [this.read()];
+    window.addEventListener('popstate', this._onPopState);
+  }
+
+  // Lit le chemin de panels depuis l'URL courante
+  read() {
+    let raw = '';
+    if (this.mode === 'query') {
+      raw = new URLSearchParams(window.location.search).get(this.param) || '';
+    } else if (window.location.hash.startsWith('#/')) {
+      raw = window.location.hash.slice(2);
+    }
+    return raw.split('/').filter(Boolean).map(segment => {
+      try { return decodeURIComponent(segment); } catch { return segment; }
+    });
+  }
+
+  /**
+   * Reflète un chemin dans l'URL
+   * Revient en arrière dans l'historique si le chemin correspond à une entrée précédente,
+   * pour que le bouton retour reste cohérent après une fermeture via l'UI
+   * Pendant un retour en arrière, l'écriture attend le popstate correspondant
+   * @param {string[]} path - Chemin complet des panels ouverts
+   */
+  write(path) {
+    if (this._isTraversing) {
+      this._queued = { path: [...path], replace: false };
+      return;
+    }
+    const key = path.join('/');
+    const top = this._stack.length - 1;
+    if (top >= 0 && this._stack[top].join('/') === key) return;
+
+    const idx = this._stack.findIndex(p => p.join('/') === key);
+    if (idx !== -1) {
+      this._stack = this._stack.slice(0, idx + 1);
+      this._isTraversing = true;
+      history.go(idx - top);
+      return;
+    }
+
+    history.pushState({ vvMenuPath: path }, '', this._buildUrl(path));
+    this._stack.push([...path]);
+  }
+
+  /**
+   * Lien profond à l'arrivée : l'entrée d'arrivée devient la racine (menu fermé), puis une
+   * entrée par ancêtre est ajoutée, pour que le bouton retour referme les panels un à un
+   * au lieu de quitter le site
+   * @param {string[]} path - Chemin complet des panels ouverts
+   */
+  seed(path) {
+    // Déjà navigué depuis l'arrivée : l'historique de la session prime
+    if (this._isTraversing || this._stack.length > 1) return;
+    history.replaceState({ vvMenuPath: [] }, '', this._buildUrl([]));
+    this._stack = [[]];
+    path.forEach((_, i) => {
+      const prefix = path.slice(0, i + 1);
+      history.pushState({ vvMenuPath: prefix }, '', this._buildUrl(prefix));
+      this._stack.push(prefix);
+    });
+  }
+
+  // Remplace l'entrée courante sans créer d'historique (normalisation d'un lien profond)
+  replace(path) {
+    if (this._isTraversing) {
+      this._queued = { path: [...path], replace: true };
+      return;
+    }
+    history.replaceState({ vvMenuPath: path }, '', this._buildUrl(path));
+    if (this._stack.length) this._stack[this._stack.length - 1] = [...path];
+    else this._stack.push([...path]);
+  }
+
+  _buildUrl(path) {
+    const url = new URL(window.location.href);
+    const value = path.map(encodeURIComponent).join('/');
+    if (this.mode === 'query') {
+      if (path.length) url.searchParams.set(this.param, value);
+      else url.searchParams.delete(this.param);
+    } else {
+      url.hash = path.length ? `/${value}` : '';
+    }
+    return url.toString();
+  }
+
+  _onPopState() {
+    // Fin d'un retour déclenché par write() : l'UI est déjà à jour, rejouer l'écriture en attente
+    if (this._isTraversing) {
+      this._isTraversing = false;
+      const queued = this._queued;
+      this._queued = null;
+      if (queued?.replace) this.replace(queued.path);
+      else if (queued) this.write(queued.path);
+      return;
+    }
+    const path = this.read();
+    const key = path.join('/');
+    const idx = this._stack.findIndex(p => p.join('/') === key);
+    if (idx !== -1) this._stack = this._stack.slice(0, idx + 1);
+    else this._stack.push(path);
+    this._onPathChange(path);
+  }
+
+  destroy() {
+    this._isTraversing = false;
+    this._queued = null;
+    window.removeEventListener('popstate', this._onPopState);
+  }
+}
@@ -0,0 +1,183 @@
+#!/usr/bin/env node
+// ==========================================
+// GÉNÉRATEUR DU MANIFEST DU MENU
+// ==========================================
+// Crawle la page d'accueil puis les pages Dossier (/menu-dossier/<slug>) et produit
+// un JSON { version, generatedAt, panels: { slug: { parent, title, order } } }
+// consommé par MenuManager.loadManifest() (voir CONFIG.MENU_MANIFEST).
+//
+// Usage :
+//   node scripts/build-menu-manifest.mjs https://vv-homes-beta.webflow.io [options]
+//
+// Options :
+//   --base-path <chemin>   Préfixe des pages Dossier (défaut : /menu-dossier, cf. CONFIG.FETCH_BASE_PATH)
+//   --max-depth <n>        Profondeur maximale sous les Dossiers racine (défaut : 6)
+//   --concurrency <n>      Fetchs simultanés (défaut : 4)
+//   --out <fichier>        Fichier de sortie (défaut : sortie standard)
+//
+// Nécessite Node 18+ (fetch natif). Aucune dépendance.
+
+import { writeFile } from 'node:fs/promises';
+
+const BUTTON_CLASSES = ['menu_panel_collection_item', 'is-btn'];
+const PANEL_TARGET_ATTR = 'data-panel-target';
+
+function parseArgs(argv) {
+  const options = { site: null, basePath: '/menu-dossier', maxDepth: 6, concurrency: 4, out: null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--base-path') options.basePath = argv[++i];
+    else if (arg === '--max-depth') options.maxDepth = Number(argv[++i]);
+    else if (arg === '--concurrency') options.concurrency = Number(argv[++i]);
+    else if (arg === '--out') options.out = argv[++i];
+    else if (!arg.startsWith('--')) options.site = arg;
+  }
+  return options;
+}
+
+// ---------- Mini-parseur HTML (suffisant pour le balisage généré par Webflow) ----------
+
+const OPEN_TAG = /<([a-zA-Z][\w-]*)((?:\s+[^\s=>\/]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?)*)\s*\/?>/g;
+const VOID_TAGS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+
+function parseAttributes(raw = '') {
+  const attrs = {};
+  const re = /([^\s=>\/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+  let m;
+  while ((m = re.exec(raw))) attrs[m[1].toLowerCase()] = m[2] ?? m[3] ?? m[4] ?? '';
+  return attrs;
+}
+
+// Index de fin du contenu d'un élément (avant sa balise fermante) en équilibrant les balises du même nom
+function findContentEnd(html, from, tagName) {
+  if (VOID_TAGS.has(tagName)) return from;
+  const re = new RegExp(`<(/?)${tagName}(?=[\\s>/])[^>]*>`, 'gi');
+  re.lastIndex = from;
+  let depth = 1;
+  let m;
+  while ((m = re.exec(html))) {
+    depth += m[1] ? -1 : 1;
+    if (depth === 0) return m.index;
+  }
+  return html.length;
+}
+
+// Liste les éléments ouvrants avec leurs attributs et la plage de leur contenu
+function* elements(html) {
+  OPEN_TAG.lastIndex = 0;
+  let m;
+  while ((m = OPEN_TAG.exec(html))) {
+    const tag = m[1].toLowerCase();
+    const contentStart = m.index + m[0].length;
+    yield { tag, attrs: parseAttributes(m[2]), contentStart, get contentEnd() { return findContentEnd(html, contentStart, tag); } };
+  }
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/&nbsp;/g, ' ').replace(/&amp;/g, '&').replace(/&lt;/g, '<').replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"').replace(/&#39;|&#x27;/g, "'")
+    .replace(/&#(\d+);/g, (_, n) => String.fromCodePoint(Number(n)));
+}
+
+function textContent(html) {
+  return decodeEntities(html.replace(/<[^>]+>/g, ' ')).replace(/\s+/g, ' ').trim();
+}
+
+// Boutons Dossier d'un fragment : [{ name, parent, title }] dans l'ordre du document
+function extractButtons(html) {
+  const buttons = [];
+  for (const el of elements(html)) {
+    const classes = (el.attrs.class || '').split(/\s+/);
+    if (!BUTTON_CLASSES.every(c => classes.includes(c)) || !el.attrs['data-name']) continue;
+    buttons.push({
+      name: el.attrs['data-name'],
+      parent: el.attrs['data-parent'] || null,
+      title: el.attrs['data-title'] || textContent(html.slice(el.contentStart, el.contentEnd))
+    });
+  }
+  return buttons;
+}
+
+// Contenu du container [data-panel-target] d'une page Dossier
+function extractPanelTarget(html) {
+  for (const el of elements(html)) {
+    if (PANEL_TARGET_ATTR in el.attrs) return html.slice(el.contentStart, el.contentEnd);
+  }
+  return null;
+}
+
+// ---------- Crawl ----------
+
+async function fetchHtml(url) {
+  const response = await fetch(url, { headers: { 'user-agent': 'vv-menu-manifest' } });
+  if (!response.ok) throw new Error(`HTTP ${response.status} pour ${url}`);
+  return response.text();
+}
+
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  });
+  await Promise.all(workers);
+  return results;
+}
+
+async function buildManifest({ site, basePath, maxDepth, concurrency }) {
+  const origin = new URL(site);
+  const panels = {};
+
+  const home = await fetchHtml(origin.href);
+  const roots = extractButtons(home).filter(b => !b.parent);
+  roots.forEach((btn, order) => {
+    if (!panels[btn.name]) panels[btn.name] = { parent: null, title: btn.title, order };
+  });
+
+  let level = roots.map(b => b.name).filter((name, i, all) => all.indexOf(name) === i);
+  for (let depth = 0; depth < maxDepth && level.length; depth++) {
+    const children = await mapWithConcurrency(level, concurrency, async (slug) => {
+      const url = new URL(`${basePath}/${slug}`, origin).href;
+      try {
+        const fragment = extractPanelTarget(await fetchHtml(url));
+        if (fragment === null) {
+          console.warn(`⚠️  [${PANEL_TARGET_ATTR}] absent de ${url}`);
+          return [];
+        }
+        return extractButtons(fragment).map((btn, order) => ({ ...btn, parent: btn.parent || slug, order }));
+      } catch (error) {
+        console.warn(`⚠️  ${error.message}`);
+        return [];
+      }
+    });
+
+    const nextLevel = [];
+    children.flat().forEach(child => {
+      if (panels[child.name]) return; // premier parent rencontré conservé (évite les cycles)
+      panels[child.name] = { parent: child.parent, title: child.title, order: child.order };
+      nextLevel.push(child.name);
+    });
+    level = nextLevel;
+  }
+
+  return { version: 1, generatedAt: new Date().toISOString(), panels };
+}
+
+const options = parseArgs(process.argv.slice(2));
+if (!options.site) {
+  console.error('Usage : node scripts/build-menu-manifest.mjs <url-du-site> [--base-path /menu-dossier] [--max-depth 6] [--concurrency 4] [--out menu-manifest.json]');
+  process.exit(1);
+}
+
+const manifest = await buildManifest(options);
+const json = JSON.stringify(manifest, null, 2);
+if (options.out) {
+  await writeFile(options.out, `${json}\n`);
+  console.warn(`✅ ${Object.keys(manifest.panels).length} Dossier(s) écrits dans ${options.out}`);
+} else {
+  process.stdout.write(`${json}\n`);
+}
@@ -0,0 +1,165 @@
+// ==========================================
+// SliderAutoplay - Mode présentation du slider
+// Avance d'une slide à intervalle régulier via SliderManager.next(),
+// revient à la slide .is-first après la dernière ; se met en pause sur
+// interaction, onglet masqué ou menu ouvert (voir CONFIG.SLIDER_AUTOPLAY)
+// ==========================================
+import { CONFIG } from './config.js';
+import logger from './logger.js';
+import { WINDOW_EVENT_PREFIX } from './event-bus.js';
+import { MENU_EVENTS } from './menu-events.js';
+import { SLIDER_EVENTS } from './slider-events.js';
+
+const INTERACTION_EVENTS = ['wheel', 'pointerdown', 'keydown', 'touchstart'];
+const LISTENER_OPTIONS = { capture: true, passive: true };
+
+export class SliderAutoplay {
+  constructor(sliderManager) {
+    this.slider = sliderManager;
+    this.options = CONFIG.SLIDER_AUTOPLAY;
+    this.interval = this.options.INTERVAL;
+    this.isRunning = false;
+    this._pauseReasons = new Set(); // 'interaction', 'hidden', 'menu', 'manual'
+    this._timer = null;
+    this._resumeTimer = null;
+    this._onInteraction = this._onInteraction.bind(this);
+    this._onVisibilityChange = this._onVisibilityChange.bind(this);
+    this._onMenuOpen = () => this.pause('menu');
+    this._onMenuClose = () => this.resume('menu');
+  }
+
+  /**
+   * La page demande-t-elle la présentation : <body data-slider-autoplay> ou ?presentation
+   * Lu avant la fin du loader pour le lancer sans interaction (borne sans visiteur)
+   * @returns {boolean}
+   */
+  isRequested() {
+    return this._readRequest() !== null;
+  }
+
+  /**
+   * Démarre la présentation si la page la demande (voir isRequested)
+   * La valeur de l'attribut ou du paramètre, si numérique, remplace l'intervalle (ms)
+   * @returns {boolean} true si la présentation a démarré
+   */
+  startIfRequested() {
+    const requested = this._readRequest();
+    if (requested === null) return false;
+    const interval = parseInt(requested, 10);
+    this.start(interval > 0 ? { interval } : {});
+    return true;
+  }
+
+  // Valeur demandée par la page, null si la présentation n'est pas demandée
+  _readRequest() {
+    const { BODY_ATTRIBUTE, URL_PARAM } = this.options;
+    const fromBody = document.body.getAttribute(BODY_ATTRIBUTE);
+    const requested = fromBody ?? new URLSearchParams(window.location.search).get(URL_PARAM);
+    return requested === 'false' ? null : requested;
+  }
+
+  /**
+   * @param {Object} options - { interval } en ms
+   */
+  start({ interval = this.options.INTERVAL } = {}) {
+    this.interval = interval;
+    if (this.isRunning) {
+      this._schedule();
+      return;
+    }
+    this.isRunning = true;
+    this._pauseReasons.clear();
+    if (document.hidden) this._pauseReasons.add('hidden');
+
+    INTERACTION_EVENTS.forEach(type => window.addEventListener(type, this._onInteraction, LISTENER_OPTIONS));
+    document.addEventListener('visibilitychange', this._onVisibilityChange);
+    window.addEventListener(`${WINDOW_EVENT_PREFIX}${MENU_EVENTS.MENU_OPEN}`, this._onMenuOpen);
+    window.addEventListener(`${WINDOW_EVENT_PREFIX}${MENU_EVENTS.MENU_CLOSE}`, this._onMenuClose);
+
+    document.body.classList.add('is-slider-presentation');
+    if (this.options.HIDE_NAV) this._setNavHidden(true);
+    logger.slider(` Mode présentation démarré (${interval}ms par slide)`);
+    this.slider.events.emit(SLIDER_EVENTS.AUTOPLAY_START, { interval });
+    this._schedule();
+  }
+
+  stop() {
+    if (!this.isRunning) return;
+    this.isRunning = false;
+    clearTimeout(this._timer);
+    clearTimeout(this._resumeTimer);
+    this._pauseReasons.clear();
+
+    INTERACTION_EVENTS.forEach(type => window.removeEventListener(type, this._onInteraction, LISTENER_OPTIONS));
+    document.removeEventListener('visibilitychange', this._onVisibilityChange);
+    window.removeEventListener(`${WINDOW_EVENT_PREFIX}${MENU_EVENTS.MENU_OPEN}`, this._onMenuOpen);
+    window.removeEventListener(`${WINDOW_EVENT_PREFIX}${MENU_EVENTS.MENU_CLOSE}`, this._onMenuClose);
+
+    document.body.classList.remove('is-slider-presentation');
+    if (this.options.HIDE_NAV) this._setNavHidden(false);
+    logger.slider(' Mode présentation arrêté');
+    this.slider.events.emit(SLIDER_EVENTS.AUTOPLAY_STOP, {});
+  }
+
+  /**
+   * Suspend l'avance automatique ; elle reprend quand toutes les raisons de pause sont levées
+   * @param {string} reason
+   */
+  pause(reason = 'manual') {
+    if (!this.isRunning) return;
+    this._pauseReasons.add(reason);
+    clearTimeout(this._timer);
+  }
+
+  resume(reason = 'manual') {
+    if (!this.isRunning) return;
+    this._pauseReasons.delete(reason);
+    this._schedule();
+  }
+
+  get isPaused() { return this.isRunning && this._pauseReasons.size > 0; }
+
+  _schedule() {
+    clearTimeout(this._timer);
+    if (!this.isRunning || this._pauseReasons.size) return;
+    this._timer = setTimeout(() => this._advance(), this.interval);
+  }
+
+  async _advance() {
+    const isLast = this.slider.activeIndex >= this.slider.getInteractiveSlides().length - 1;
+    try {
+      // Boucle : retour direct à la slide d'intro plutôt qu'un défilement arrière sur tout le slider
+      if (isLast) await this.slider.goTo(0, { immediate: true });
+      else await this.slider.next();
+    } catch (error) {
+      logger.warn(' Mode présentation : avance impossible', error);
+    }
+    this._schedule();
+  }
+
+  // Toute interaction reprend la main ; reprise après RESUME_DELAY d'inactivité (0 = arrêt)
+  _onInteraction() {
+    if (!this.options.RESUME_DELAY) {
+      this.stop();
+      return;
+    }
+    this.pause('interaction');
+    clearTimeout(this._resumeTimer);
+    this._resumeTimer = setTimeout(() => this.resume('interaction'), this.options.RESUME_DELAY);
+  }
+
+  _onVisibilityChange() {
+    if (document.hidden) this.pause('hidden');
+    else this.resume('hidden');
+  }
+
+  _setNavHidden(hidden) {
+    const nav = document.querySelector('.nav_wrap');
+    if (!nav) return;
+    gsap.to(nav, { autoAlpha: hidden ? 0 : 1, duration: CONFIG.ANIMATION.DURATION, ease: CONFIG.ANIMATION.EASE.POWER2.OUT });
+  }
+
+  destroy() {
+    this.stop();
+  }
+}
@@ -0,0 +1,164 @@
+// ==========================================
+// SliderDrag - Glisser-déplacer à la souris sur le slider horizontal (desktop)
+// Le scroll suit le pointeur via Lenis ; au relâchement, l'élan est projeté
+// puis le slider se cale sur la slide la plus proche. Le clic qui termine un
+// glisser est neutralisé (liens data-menu-link, modale d'image…)
+// ==========================================
+import { CONFIG } from './config.js';
+
+const VELOCITY_WINDOW = 100; // Derniers mouvements (ms) retenus pour mesurer la vitesse au relâchement
+
+export class SliderDrag {
+  constructor(sliderManager) {
+    this.slider = sliderManager;
+    this.options = CONFIG.SLIDER_DRAG;
+    this.container = null;
+    this.isActive = false;
+    this.isDragging = false;
+    this._drag = null;
+    this._onPointerDown = this._onPointerDown.bind(this);
+    this._onPointerMove = this._onPointerMove.bind(this);
+    this._onPointerUp = this._onPointerUp.bind(this);
+    this._onDragStart = (e) => e.preventDefault();
+    this._suppressClick = this._suppressClick.bind(this);
+  }
+
+  init() {
+    this.container = this.slider.sliderContainer;
+    if (!this.options.ENABLED || !this.container || this.isActive) return;
+    this.isActive = true;
+    this.container.addEventListener('pointerdown', this._onPointerDown);
+    // Les images glissées nativement (fantôme du navigateur) interrompraient le geste
+    this.container.addEventListener('dragstart', this._onDragStart);
+    this._updateCursor();
+  }
+
+  // Actif uniquement en slider horizontal piloté par ScrollTrigger
+  get isAvailable() {
+    return this.isActive && !this.slider.isMobileMode && this.slider.getCurrentOrientation() === 'horizontal';
+  }
+
+  _onPointerDown(e) {
+    if (e.pointerType !== 'mouse' || e.button !== 0 || !this.isAvailable) return;
+    if (e.target.closest(this.options.IGNORE_SELECTOR)) return;
+    this._drag = {
+      pointerId: e.pointerId,
+      startX: e.clientX,
+      startScroll: this._getScroll(),
+      samples: [{ x: e.clientX, time: e.timeStamp }],
+      moved: false
+    };
+    window.addEventListener('pointermove', this._onPointerMove);
+    window.addEventListener('pointerup', this._onPointerUp);
+    window.addEventListener('pointercancel', this._onPointerUp);
+  }
+
+  _onPointerMove(e) {
+    const drag = this._drag;
+    if (!drag || e.pointerId !== drag.pointerId) return;
+    const delta = e.clientX - drag.startX;
+    if (!drag.moved) {
+      if (Math.abs(delta) < this.options.THRESHOLD) return;
+      drag.moved = true;
+      this.isDragging = true;
+      this.container.setPointerCapture?.(e.pointerId);
+      this.container.classList.add('is-dragging');
+      document.body.style.userSelect = 'none';
+      this._updateCursor();
+    }
+    drag.samples.push({ x: e.clientX, time: e.timeStamp });
+    while (drag.samples.length > 2 && e.timeStamp - drag.samples[0].time > VELOCITY_WINDOW) drag.samples.shift();
+    this._scrollTo(drag.startScroll - delta, { immediate: true });
+  }
+
+  _onPointerUp(e) {
+    const drag = this._drag;
+    if (!drag || e.pointerId !== drag.pointerId) return;
+    this._release();
+    if (!drag.moved) return;
+
+    // Le clic émis après ce relâchement appartient au glisser, pas au lien sous le pointeur
+    window.addEventListener('click', this._suppressClick, true);
+    setTimeout(() => window.removeEventListener('click', this._suppressClick, true), 0);
+
+    // Élan : vitesse des derniers mouvements projetée sur INERTIA ms, puis calage sur une slide
+    const first = drag.samples[0];
+    const last = drag.samples[drag.samples.length - 1];
+    const elapsed = last.time - first.time;
+    const velocity = elapsed > 0 ? (last.x - first.x) / elapsed : 0;
+    const projected = this._getScroll() - velocity * this.options.INERTIA;
+    this._snapTo(projected);
+  }
+
+  _suppressClick(e) {
+    e.preventDefault();
+    e.stopImmediatePropagation();
+    window.removeEventListener('click', this._suppressClick, true);
+  }
+
+  // Position de la slide la plus proche ; durée dans CONFIG.ANIMATION.SNAP_DURATION selon la distance
+  _snapTo(projected) {
+    const slides = this.slider.getInteractiveSlides();
+    let targetIndex = -1;
+    let best = Infinity;
+    slides.forEach((slide, index) => {
+      const position = this.slider.getSlideScrollPosition(slide);
+      if (position === null) return;
+      const distance = Math.abs(position - projected);
+      if (distance < best) {
+        best = distance;
+        targetIndex = index;
+      }
+    });
+    if (targetIndex === -1) return;
+
+    const { min, max } = CONFIG.ANIMATION.SNAP_DURATION;
+    const travel = Math.abs(this.slider.getSlideScrollPosition(slides[targetIndex]) - this._getScroll());
+    const duration = Math.min(max, Math.max(min, travel / window.innerWidth * max));
+    this.slider.goTo(targetIndex, { duration });
+  }
+
+  _getScroll() {
+    const lenis = this.slider.app?.smoothScrollManager?.lenis;
+    return lenis ? lenis.scroll : window.scrollX;
+  }
+
+  _scrollTo(position, { immediate }) {
+    const lenis = this.slider.app?.smoothScrollManager?.lenis;
+    if (lenis) lenis.scrollTo(position, { immediate, force: true });
+    else window.scrollTo({ left: position, behavior: 'auto' });
+  }
+
+  _release() {
+    if (this._drag && this.isDragging) this.container.releasePointerCapture?.(this._drag.pointerId);
+    this._drag = null;
+    this.isDragging = false;
+    this.container.classList.remove('is-dragging');
+    document.body.style.userSelect = '';
+    window.removeEventListener('pointermove', this._onPointerMove);
+    window.removeEventListener('pointerup', this._onPointerUp);
+    window.removeEventListener('pointercancel', this._onPointerUp);
+    this._updateCursor();
+  }
+
+  // Curseur « main » : grab au repos, grabbing pendant le glisser, rien hors slider horizontal
+  _updateCursor() {
+    if (!this.container) return;
+    this.container.style.cursor = !this.isAvailable ? '' : this.isDragging ? 'grabbing' : 'grab';
+  }
+
+  /** À appeler après un changement d'orientation ou de mode (mobile/desktop) */
+  refresh() {
+    if (this._drag) this._release();
+    this._updateCursor();
+  }
+
+  destroy() {
+    if (!this.isActive) return;
+    if (this._drag) this._release();
+    this.container.removeEventListener('pointerdown', this._onPointerDown);
+    this.container.removeEventListener('dragstart', this._onDragStart);
+    this.isActive = false;
+    this.container.style.cursor = '';
+  }
+}
@@ -0,0 +1,90 @@
+// ==========================================
+// Effets de slide déclaratifs (data-slider-effect)
+// <div class="slider-panel_item" data-slider-effect="parallax fade" data-slider-effect-intensity="0.5">
+// Chaque preset crée des animations scrubées par ScrollTrigger, dans les deux
+// orientations ; SliderManager les suit avec ses autres scrollTriggers
+// ==========================================
+import logger from './logger.js';
+
+const MAX_INTENSITY = 2;
+
+// Plages de scroll : entrée de la slide dans l'écran, ou traversée complète
+const RANGES = {
+  horizontal: { enter: ['left 75%', 'left 25%'], through: ['left right', 'right left'] },
+  vertical: { enter: ['top 75%', 'top 25%'], through: ['top bottom', 'bottom top'] }
+};
+
+const scrubbed = (item, isHorizontal, range) => {
+  const [start, end] = RANGES[isHorizontal ? 'horizontal' : 'vertical'][range];
+  return { trigger: item, start, end, scrub: true, horizontal: isHorizontal };
+};
+
+/**
+ * Presets disponibles : (item, { isHorizontal, intensity }) => animations GSAP créées
+ * Extensible : SLIDER_EFFECTS.monEffet = (item, options) => [gsap.fromTo(...)]
+ */
+export const SLIDER_EFFECTS = {
+  // Images de .slider-panel_inner décalées à contre-sens du scroll
+  parallax(item, { isHorizontal, intensity }) {
+    const images = item.querySelectorAll('.slider-panel_inner img');
+    if (!images.length) return [];
+    const shift = 12 * intensity;
+    const axis = isHorizontal ? 'xPercent' : 'yPercent';
+    return [gsap.fromTo(images,
+      { [axis]: -shift, scale: 1 + shift / 50 },
+      { [axis]: shift, ease: 'none', scrollTrigger: scrubbed(item, isHorizontal, 'through') }
+    )];
+  },
+
+  // Contenu de .slider-panel_infos révélé à l'entrée (enfants animés : le loader anime le bloc lui-même)
+  fade(item, { isHorizontal, intensity }) {
+    const content = item.querySelectorAll('.slider-panel_infos > *');
+    if (!content.length) return [];
+    const offset = 40 * intensity;
+    return [gsap.fromTo(content,
+      { autoAlpha: 0, [isHorizontal ? 'x' : 'y']: offset },
+      { autoAlpha: 1, [isHorizontal ? 'x' : 'y']: 0, stagger: 0.1, ease: 'none', scrollTrigger: scrubbed(item, isHorizontal, 'enter') }
+    )];
+  },
+
+  // Slide qui grandit jusqu'à sa taille à l'entrée
+  scale(item, { isHorizontal, intensity }) {
+    const target = item.querySelector('.slider-panel_inner') || item;
+    return [gsap.fromTo(target,
+      { scale: 1 - 0.2 * intensity },
+      { scale: 1, ease: 'none', scrollTrigger: scrubbed(item, isHorizontal, 'enter') }
+    )];
+  },
+
+  // Volet : .slider-panel_inner découvert depuis le bord d'entrée
+  wipe(item, { isHorizontal, intensity }) {
+    const target = item.querySelector('.slider-panel_inner') || item;
+    const hidden = Math.min(100, 100 * intensity);
+    return [gsap.fromTo(target,
+      { clipPath: isHorizontal ? `inset(0% ${hidden}% 0% 0%)` : `inset(0% 0% ${hidden}% 0%)` },
+      { clipPath: 'inset(0% 0% 0% 0%)', ease: 'none', scrollTrigger: scrubbed(item, isHorizontal, 'enter') }
+    )];
+  }
+};
+
+/**
+ * Crée les effets déclarés sur une slide
+ * @param {HTMLElement} item - Slide portant data-slider-effect (noms séparés par des espaces)
+ * @param {Object} options - { isHorizontal }
+ * @returns {Array} Animations créées (à annuler avec revert())
+ */
+export function createSlideEffects(item, { isHorizontal }) {
+  const names = (item.dataset.sliderEffect || '').split(/\s+/).filter(Boolean);
+  if (!names.length) return [];
+  const parsed = parseFloat(item.dataset.sliderEffectIntensity);
+  const intensity = Number.isFinite(parsed) ? Math.min(MAX_INTENSITY, Math.max(0, parsed)) : 1;
+
+  return names.flatMap(name => {
+    const preset = SLIDER_EFFECTS[name];
+    if (!preset) {
+      logger.warn(` Effet de slide inconnu : "${name}" (disponibles : ${Object.keys(SLIDER_EFFECTS).join(', ')})`);
+      return [];
+    }
+    return preset(item, { isHorizontal, intensity });
+  });
+}
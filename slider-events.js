@@ -0,0 +1,17 @@
+// ==========================================
+// Événements publics du slider
+// Émis par SliderManager via son EventBus (voir event-bus.js, relais sur window avec le préfixe 'vv:')
+// ==========================================
+
+/**
+ * Types d'événements émis par SliderManager
+ * detail : { index, previousIndex, slide, category, total }
+ */
+export const SLIDER_EVENTS = {
+  SLIDE_CHANGE: 'slider:slide-change',
+  CATEGORY_CHANGE: 'slider:category-change',  // detail.previousCategory : catégorie quittée
+  AUTOPLAY_START: 'slider:autoplay-start',     // detail.interval : durée d'une slide (ms)
+  AUTOPLAY_STOP: 'slider:autoplay-stop',
+  FILTER_CHANGE: 'slider:filter-change',       // detail : { categories, tags, total } (total = slides affichées)
+  SLIDES_CHANGE: 'slider:slides-change'        // detail : { added, removed, total } — slides chargées / retirées après l'init
+};
@@ -0,0 +1,204 @@
+// ==========================================
+// SliderFilter - Filtrage des slides par catégorie ou tag, sans rechargement
+// Les slides écartées sont masquées et retirées de sliderManager.sliderItems,
+// puis les ScrollTriggers et l'indicateur sont reconstruits ; les slides
+// .is-first et .is-last restent toujours en place
+// ==========================================
+import { CONFIG } from './config.js';
+import logger from './logger.js';
+import { foldText } from './text-utils.js';
+import { SLIDER_EVENTS } from './slider-events.js';
+
+const HIDDEN_CLASS = 'is-filtered-out';
+
+// Slides écartées masquées par une règle CSS : le display en ligne des mises en page
+// (flex en horizontal, block en scroll natif mobile) reste intact
+function ensureHiddenStyle() {
+  if (document.querySelector('style[data-slider-filter]')) return;
+  const style = document.createElement('style');
+  style.dataset.sliderFilter = '';
+  style.textContent = `${CONFIG.SELECTORS.SLIDER_ITEM}.${HIDDEN_CLASS} { display: none !important; }`;
+  document.head.appendChild(style);
+}
+
+// Forme comparable d'un tag (« Béton brut » → « beton brut »)
+const tagKey = (value = '') => foldText(value).trim().replace(/\s+/g, ' ');
+
+export class SliderFilter {
+  constructor(sliderManager) {
+    this.slider = sliderManager;
+    this.categories = new Set();
+    this.tags = new Set();        // Formes repliées (tagKey)
+    this._controls = [];
+    this._onControlClick = this._onControlClick.bind(this);
+  }
+
+  get isActive() { return this.categories.size > 0 || this.tags.size > 0; }
+
+  /**
+   * Relie les boutons de filtre présents dans la page :
+   * [data-slider-filter-category="<slug>"], [data-slider-filter-tag="<tag>"], [data-slider-filter-reset]
+   */
+  init() {
+    const { SLIDER_FILTER_CATEGORY, SLIDER_FILTER_TAG, SLIDER_FILTER_RESET } = CONFIG.SELECTORS;
+    this._controls = Array.from(document.querySelectorAll(`${SLIDER_FILTER_CATEGORY}, ${SLIDER_FILTER_TAG}, ${SLIDER_FILTER_RESET}`));
+    this._controls.forEach(control => {
+      if (!control.matches('a, button')) {
+        control.setAttribute('role', 'button');
+        if (!control.hasAttribute('tabindex')) control.tabIndex = 0;
+      }
+      control.addEventListener('click', this._onControlClick);
+      control.addEventListener('keydown', this._onControlClick);
+    });
+    this._syncControls();
+  }
+
+  /**
+   * Remplace le filtre courant
+   * @param {Object} criteria - { categories: string[], tags: string[] } ; listes vides = tout afficher
+   * @returns {number} Nombre de slides affichées (hors .is-first / .is-last)
+   */
+  set({ categories = [], tags = [] } = {}) {
+    this.categories = new Set(categories);
+    this.tags = new Set(tags.map(tagKey).filter(Boolean));
+    return this.apply();
+  }
+
+  /**
+   * Ajoute ou retire une catégorie / un tag du filtre
+   * @param {'category'|'tag'} type
+   * @param {string} value
+   */
+  toggle(type, value) {
+    const set = type === 'tag' ? this.tags : this.categories;
+    const key = type === 'tag' ? tagKey(value) : value;
+    if (set.has(key)) set.delete(key);
+    else set.add(key);
+    return this.apply();
+  }
+
+  clear() {
+    this.categories.clear();
+    this.tags.clear();
+    return this.apply();
+  }
+
+  /**
+   * Tags d'une slide : éléments déplacés par handleDynamicTagInsertion() dans ses [data-insert-to-list]
+   * Valeur : attribut data-slider-tag, sinon texte de l'élément
+   * @param {HTMLElement} slide
+   * @returns {string[]} Formes repliées
+   */
+  getSlideTags(slide) {
+    return Array.from(slide.querySelectorAll('[data-insert-to-list] [data-insert-to-item]'))
+      .map(tag => tagKey(tag.dataset.sliderTag || tag.textContent))
+      .filter(Boolean);
+  }
+
+  matches(slide) {
+    if (this.categories.size && !this.categories.has(slide.dataset.sliderCategory)) return false;
+    if (!this.tags.size) return true;
+    const slideTags = this.getSlideTags(slide);
+    return CONFIG.SLIDER_FILTER.TAG_MATCH === 'all'
+      ? [...this.tags].every(tag => slideTags.includes(tag))
+      : slideTags.some(tag => this.tags.has(tag));
+  }
+
+  /**
+   * Applique le filtre courant puis ramène le slider à sa première slide
+   * @returns {number} Nombre de slides affichées (hors .is-first / .is-last)
+   */
+  apply() {
+    const slider = this.slider;
+    // Ordre du DOM rétabli pour toutes les slides (ajouts faits pendant un filtre compris)
+    slider.setupSliderOrder();
+    const allItems = Array.from(slider.sliderContainer.querySelectorAll(CONFIG.SELECTORS.SLIDER_ITEM))
+      .filter(item => !item.classList.contains('is-last'));
+    const visible = this.applyToItems(allItems);
+
+    slider.sliderItems = visible;
+    slider.slides = visible;
+    const contentSlides = visible.filter(item => item !== slider.firstSlide);
+    // La slide d'intro porte la catégorie de la première slide affichée
+    if (slider.firstSlide && contentSlides[0]) slider.firstSlide.dataset.sliderCategory = contentSlides[0].dataset.sliderCategory;
+    this.syncCategories();
+
+    if (slider.isInitialized && !slider.isMobileMode) {
+      slider.rebuildScrollSystem();
+      ScrollTrigger.refresh();
+    } else if (slider.isMobileMode) {
+      // Slides réaffichées : mise en page verticale du scroll natif
+      slider.enableNativeScroll();
+    }
+    slider.activeIndex = -1;
+    slider.resetSliderToStart();
+    slider.goTo(0, { immediate: true });
+
+    if (this.isActive && !contentSlides.length) logger.warn(' SliderFilter: aucune slide ne correspond au filtre');
+    logger.slider(` Filtre du slider : ${contentSlides.length} slide(s) affichée(s)`);
+    this._syncControls();
+    slider.events.emit(SLIDER_EVENTS.FILTER_CHANGE, {
+      categories: [...this.categories],
+      tags: [...this.tags],
+      total: contentSlides.length
+    });
+    return contentSlides.length;
+  }
+
+  /**
+   * Masque les slides écartées par le filtre courant (slides ajoutées après coup comprises)
+   * @param {HTMLElement[]} items
+   * @returns {HTMLElement[]} Slides affichées, dans l'ordre reçu
+   */
+  applyToItems(items) {
+    if (this.isActive) ensureHiddenStyle();
+    return items.filter(item => {
+      const isShown = item === this.slider.firstSlide || !this.isActive || this.matches(item);
+      item.classList.toggle(HIDDEN_CLASS, !isShown);
+      if (!isShown) item.classList.remove('is-active-panel');
+      return isShown;
+    });
+  }
+
+  // .indicators_item sans slide affichée : is-filtered-out
+  syncCategories() {
+    const slider = this.slider;
+    const shownCategories = new Set(
+      slider.sliderItems.filter(item => item !== slider.firstSlide).map(item => item.dataset.sliderCategory)
+    );
+    slider.categoriesItems.forEach(category => {
+      const isShown = shownCategories.has(category.dataset.categorySlug);
+      category.classList.toggle(HIDDEN_CLASS, !isShown);
+      category.setAttribute('aria-hidden', String(!isShown));
+    });
+  }
+
+  _onControlClick(e) {
+    if (e.type === 'keydown' && e.key !== 'Enter' && e.key !== ' ') return;
+    e.preventDefault();
+    const { sliderFilterCategory, sliderFilterTag } = e.currentTarget.dataset;
+    if (sliderFilterCategory) this.toggle('category', sliderFilterCategory);
+    else if (sliderFilterTag) this.toggle('tag', sliderFilterTag);
+    else this.clear();
+  }
+
+  // Boutons : is-active + aria-pressed selon le filtre courant
+  _syncControls() {
+    this._controls.forEach(control => {
+      const { sliderFilterCategory, sliderFilterTag } = control.dataset;
+      const isActive = sliderFilterCategory
+        ? this.categories.has(sliderFilterCategory)
+        : sliderFilterTag ? this.tags.has(tagKey(sliderFilterTag)) : !this.isActive;
+      control.classList.toggle('is-active', isActive);
+      control.setAttribute('aria-pressed', String(isActive));
+    });
+  }
+
+  destroy() {
+    this._controls.forEach(control => {
+      control.removeEventListener('click', this._onControlClick);
+      control.removeEventListener('keydown', this._onControlClick);
+    });
+    this._controls = [];
+  }
+}
@@ -0,0 +1,202 @@
+// ==========================================
+// SliderIndicator - Indicateur de progression par catégorie
+// Un segment par .indicators_item (taille = nombre de slides de sa catégorie) dans la ligne
+// .indicators_scroller_line_wrap ; la boule montre la progression globale
+// et peut être glissée pour parcourir les slides. L'axe (ligne horizontale
+// ou verticale) est déduit des dimensions de la ligne
+// ==========================================
+import { CONFIG } from './config.js';
+
+const clamp = (value) => Math.min(1, Math.max(0, value));
+
+export class SliderIndicator {
+  /**
+   * @param {SliderManager} sliderManager
+   * @param {Object} elements - { track, ball } : ligne et boule de l'indicateur
+   */
+  constructor(sliderManager, { track, ball } = {}) {
+    this.slider = sliderManager;
+    this.track = track;
+    this.ball = ball;
+    this.container = null;
+    this.segments = [];   // { slug, slides, start, size, element, fill } — start/size en fraction de la ligne
+    this.isActive = false;
+    this.isVertical = false;
+    this._slides = [];    // Slides de catégorie (sans la slide d'intro .is-first), dans l'ordre des segments
+    this._drag = null;
+    this._onPointerDown = this._onPointerDown.bind(this);
+    this._onPointerMove = this._onPointerMove.bind(this);
+    this._onPointerUp = this._onPointerUp.bind(this);
+  }
+
+  init() {
+    if (!this.track || !this.ball || this.isActive) return;
+    this.isActive = true;
+    this.ball.setAttribute('role', 'slider');
+    this.ball.setAttribute('aria-label', 'Progression du slider');
+    this.ball.setAttribute('aria-valuemin', '0');
+    if (CONFIG.SLIDER_INDICATOR.DRAGGABLE) {
+      this.track.style.touchAction = 'none';
+      this.track.addEventListener('pointerdown', this._onPointerDown);
+    }
+    this.render();
+  }
+
+  /**
+   * (Re)construit les segments — après un changement d'orientation ou de slides
+   */
+  render() {
+    if (!this.isActive) return;
+    this.isVertical = this.track.offsetHeight > this.track.offsetWidth;
+    const slides = this.slider.getInteractiveSlides().filter(slide => !slide.classList.contains('is-first'));
+    const total = slides.length;
+
+    this.container?.remove();
+    this.container = document.createElement('div');
+    this.container.className = 'indicators_segments';
+    Object.assign(this.container.style, {
+      position: 'absolute',
+      inset: '0',
+      display: 'flex',
+      flexDirection: this.isVertical ? 'column' : 'row',
+      pointerEvents: 'none'
+    });
+
+    // Un segment par .indicators_item (data-category-slug), même sans slide affichée ;
+    // les slides d'une catégorie absente des indicateurs forment des segments en fin de ligne
+    const bySlug = new Map();
+    this.slider.categoriesItems.forEach(category => {
+      const slug = category.dataset.categorySlug || '';
+      if (!bySlug.has(slug)) bySlug.set(slug, []);
+    });
+    slides.forEach(slide => {
+      const slug = slide.dataset.sliderCategory || '';
+      if (!bySlug.has(slug)) bySlug.set(slug, []);
+      bySlug.get(slug).push(slide);
+    });
+
+    this.segments = [];
+    this._slides = [];
+    bySlug.forEach((categorySlides, slug) => {
+      const segment = {
+        slug,
+        slides: categorySlides,
+        start: total ? this._slides.length / total : 0,
+        size: total ? categorySlides.length / total : 0
+      };
+      this._slides.push(...categorySlides);
+      segment.element = document.createElement('div');
+      segment.element.className = 'indicators_segment';
+      segment.element.classList.toggle('is-empty', !categorySlides.length);
+      segment.element.dataset.categorySlug = slug;
+      segment.element.style.flex = `${categorySlides.length} 1 0`;
+      segment.fill = document.createElement('div');
+      segment.fill.className = 'indicators_segment_fill';
+      gsap.set(segment.fill, { transformOrigin: this.isVertical ? 'center top' : 'left center', scaleX: 1, scaleY: 1 });
+      segment.element.appendChild(segment.fill);
+      this.container.appendChild(segment.element);
+      this.segments.push(segment);
+    });
+    this.track.prepend(this.container);
+    this.ball.setAttribute('aria-valuemax', String(total));
+    this.update(this.slider.getActiveSlide(), { immediate: true });
+  }
+
+  /**
+   * Place la boule et remplit les segments jusqu'à la slide active
+   * @param {HTMLElement|null} activeSlide
+   * @param {Object} options - { immediate }
+   */
+  update(activeSlide, { immediate = false } = {}) {
+    if (!this.isActive || this._drag) return;
+    const index = this._slides.indexOf(activeSlide);
+    // Progression « vue » : la slide d'intro vaut 0, la dernière slide 100%
+    const ratio = this._slides.length ? (index + 1) / this._slides.length : 0;
+    this._setRatio(ratio, immediate);
+
+    const category = activeSlide?.dataset.sliderCategory;
+    this.segments.forEach(segment => segment.element.classList.toggle('is-active', index !== -1 && segment.slug === category));
+    this.ball.setAttribute('aria-valuenow', String(index + 1));
+    this.ball.setAttribute('aria-valuetext', index === -1 ? 'Introduction' : `${category || ''} — ${index + 1} / ${this._slides.length}`);
+  }
+
+  _setRatio(ratio, immediate) {
+    const position = { [this.isVertical ? 'top' : 'left']: `${ratio * 100}%` };
+    const tween = { duration: CONFIG.ANIMATION.DURATION, ease: CONFIG.ANIMATION.EASE.POWER2.OUT };
+    const scaleProp = this.isVertical ? 'scaleY' : 'scaleX';
+    if (immediate) gsap.set(this.ball, position);
+    else gsap.to(this.ball, { ...position, ...tween });
+
+    this.segments.forEach(segment => {
+      const fill = segment.size ? clamp((ratio - segment.start) / segment.size) : 0;
+      segment.element.classList.toggle('is-complete', fill >= 1);
+      if (immediate) gsap.set(segment.fill, { [scaleProp]: fill });
+      else gsap.to(segment.fill, { [scaleProp]: fill, ...tween });
+    });
+  }
+
+  // ==========================================
+  // GLISSER-DÉPOSER
+  // ==========================================
+
+  _onPointerDown(e) {
+    if (e.button > 0 || this._drag) return;
+    e.preventDefault();
+    this.track.setPointerCapture?.(e.pointerId);
+    this._drag = { pointerId: e.pointerId, index: null };
+    this.ball.classList.add('is-dragging');
+    this.track.addEventListener('pointermove', this._onPointerMove);
+    this.track.addEventListener('pointerup', this._onPointerUp);
+    this.track.addEventListener('pointercancel', this._onPointerUp);
+    this._scrubTo(e);
+  }
+
+  _onPointerMove(e) {
+    if (this._drag && e.pointerId === this._drag.pointerId) this._scrubTo(e);
+  }
+
+  _onPointerUp(e) {
+    const drag = this._drag;
+    if (!drag || e.pointerId !== drag.pointerId) return;
+    this._release();
+    // Aligner la boule sur la slide atteinte
+    this.update(this.slider.getInteractiveSlides()[drag.index] || null);
+  }
+
+  // La boule suit le pointeur ; le slider saute à la slide correspondante à chaque changement
+  _scrubTo(e) {
+    const rect = this.track.getBoundingClientRect();
+    const ratio = this.isVertical
+      ? clamp((e.clientY - rect.top) / (rect.height || 1))
+      : clamp((e.clientX - rect.left) / (rect.width || 1));
+    this._setRatio(ratio, true);
+
+    // Rang 0 : slide d'intro (ou première slide) ; rang n : n-ième slide dans l'ordre des segments
+    const interactive = this.slider.getInteractiveSlides();
+    const rank = Math.round(ratio * this._slides.length);
+    const index = interactive.indexOf(rank > 0 ? this._slides[rank - 1] : interactive[0]);
+    if (index === -1 || index === this._drag.index) return;
+    this._drag.index = index;
+    this.slider.goTo(index, { immediate: true });
+  }
+
+  _release() {
+    if (!this._drag) return;
+    this.track.releasePointerCapture?.(this._drag.pointerId);
+    this._drag = null;
+    this.ball.classList.remove('is-dragging');
+    this.track.removeEventListener('pointermove', this._onPointerMove);
+    this.track.removeEventListener('pointerup', this._onPointerUp);
+    this.track.removeEventListener('pointercancel', this._onPointerUp);
+  }
+
+  destroy() {
+    this._release();
+    this.track?.removeEventListener('pointerdown', this._onPointerDown);
+    if (this.track) this.track.style.touchAction = '';
+    this.container?.remove();
+    this.container = null;
+    this.segments = [];
+    this.isActive = false;
+  }
+}
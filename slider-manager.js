@@ -3,6 +3,29 @@
 // ==========================================
 import { CONFIG } from './config.js';
 import logger from './logger.js';
+import { EventBus } from './event-bus.js';
+import { SLIDER_EVENTS } from './slider-events.js';
+import { SliderUrlSync } from './slider-url-sync.js';
+import { SliderAutoplay } from './slider-autoplay.js';
+import { SliderIndicator } from './slider-indicator.js';
+import { SliderFilter } from './slider-filter.js';
+import { SliderMedia, releaseSliderMedia } from './slider-media.js';
+import { SliderDrag } from './slider-drag.js';
+import { createSlideEffects } from './slider-effects.js';
+import { SliderObserver } from './slider-observer.js';
+
+// Ligne d'activation des slides ("left 25%" / "top 25%" des ScrollTriggers d'indicateur)
+const ACTIVE_LINE = 0.25;
+
+// Marge au-delà de la durée d'un défilement Lenis avant de le considérer interrompu (lenis.stop())
+const SCROLL_SETTLE_MARGIN = 500;
+
+// Touches de navigation → pas (±1) ou extrémité
+const NAV_KEYS = {
+  ArrowRight: 1, ArrowDown: 1, PageDown: 1,
+  ArrowLeft: -1, ArrowUp: -1, PageUp: -1,
+  Home: 'first', End: 'last'
+};
 
 /**
  * Gère toute la logique du slider horizontal :
@@ -36,13 +59,40 @@ export class SliderManager {
 
     // OPTIMISATION: Stocker les références des ScrollTriggers pour un nettoyage efficace
     this.scrollTriggers = new Set();
+    // Triggers par slide, pour ne reconstruire que les slides ajoutées ou retirées
+    this.itemTriggers = new Map();
+    // Animations des effets data-slider-effect par slide, annulées (revert) à chaque reconstruction
+    this.effectAnimations = new Map();
     this.indicatorTrack = scope.querySelector(CONFIG.SELECTORS.INDICATOR_TRACK);
+    // Segments par catégorie + boule déplaçable (CONFIG.SLIDER_INDICATOR)
+    this.indicator = new SliderIndicator(this, { track: this.indicatorTrack, ball: this.indicatorBall });
     
     // OPTIMISATION MOBILE: Variables pour la gestion conditionnelle
     this.isMobileMode = false;
     this.isInitialized = false;
     this.sliderContainer = document.querySelector('.slider-panel_list');
     this.slides = this.sliderItems;
+
+    // Navigation : slide active, trigger d'activation par slide, événements publics (voir slider-events.js)
+    this.events = new EventBus();
+    this.activeIndex = -1;
+    this.slideTriggers = new Map();
+    this._onKeyDown = this._onKeyDown.bind(this);
+    this._pendingScroll = null;    // Règle la promesse du défilement en cours (voir _scrollToSlide)
+    this._onCategoryActivate = this._onCategoryActivate.bind(this);
+
+    // Slide active ↔ URL (CONFIG.SLIDER_URL, désactivé par défaut)
+    this.urlSync = new SliderUrlSync(this);
+    // Mode présentation (CONFIG.SLIDER_AUTOPLAY), démarré par l'app après le loader
+    this.autoplay = new SliderAutoplay(this);
+    // Filtre par catégorie / tag (boutons [data-slider-filter-*] ou slider.filter.set())
+    this.filter = new SliderFilter(this);
+    // Médias chargés autour de la slide active, vidéos éloignées en pause / déchargées (CONFIG.SLIDER_MEDIA)
+    this.media = new SliderMedia(this);
+    // Glisser-déplacer à la souris avec élan et calage (CONFIG.SLIDER_DRAG)
+    this.drag = new SliderDrag(this);
+    // Slides ajoutées / retirées après l'init (Finsweet, CMS) intégrées sans reset (CONFIG.SLIDER_OBSERVER)
+    this.observer = new SliderObserver(this);
     
     // S'abonner aux changements d'orientation via OrientationManager
     if (this.app && this.app.orientationManager) {
@@ -76,6 +126,11 @@ export class SliderManager {
     if (this.isMobileMode || isMobileLite) {
       logger.info('📱 SliderManager: Initialisation en mode mobile (scroll natif, ScrollTriggers OFF)');
       this.enableNativeScroll();
+      releaseSliderMedia();             // Scroll natif : médias réservés au démarrage chargés en bloc
+      this.setupNavigation();
+      this.filter.init();
+      this.urlSync.init();
+      this.observer.init();
       this.isInitialized = true;
       return; // Sortir tôt pour le mode mobile
     } else {
@@ -88,6 +143,13 @@ export class SliderManager {
     this.resetSliderToStart();        // Positionne après ordre établi
     this.handleDynamicTagInsertion(); // Gère insertion CMS
     this.rebuildScrollSystem();       // Crée triggers + animations + indicateur
+    this.setupNavigation();           // Clavier + clic sur les catégories
+    if (CONFIG.SLIDER_INDICATOR.SEGMENTS) this.indicator.init(); // Segments + progression globale
+    this.filter.init();               // Boutons de filtre par catégorie / tag
+    this.media.init();                // Médias des slides chaudes uniquement
+    this.drag.init();                 // Glisser à la souris (slider horizontal)
+    this.observer.init();             // Slides chargées après coup
+    this.urlSync.init();              // Lecture de la slide demandée par l'URL
     
     this.isInitialized = true;
   }
@@ -257,6 +319,9 @@ export class SliderManager {
     if (this.indicatorBall) {
       gsap.set(this.indicatorBall, { left: '0%' });
     }
+    this.indicator.update(this.getInteractiveSlides()[0], { immediate: true });
+
+    this._setActiveIndex(0);
 
   }
 
@@ -298,7 +363,8 @@ export class SliderManager {
 
   /**
    * Met à jour la position de la boule indicatrice selon la slide active
-   * Calcule la position proportionnelle dans la catégorie active
+   * Avec CONFIG.SLIDER_INDICATOR.SEGMENTS : progression globale (voir SliderIndicator),
+   * sinon position proportionnelle dans la catégorie active
    * @param {HTMLElement} activePanel - La slide qui vient d'être activée (passée directement pour éviter les problèmes de timing avec toggleClass)
    */
   updateIndicatorBall(activePanel) {
@@ -306,6 +372,11 @@ export class SliderManager {
     if (!activePanel) activePanel = document.querySelector('.slider-panel_item.is-active-panel');
     if (!activePanel || !this.indicatorBall || !this.indicatorTrack) return;
 
+    if (this.indicator.isActive) {
+      this.indicator.update(activePanel);
+      return;
+    }
+
     // Ignore la firstSlide (hors catégorie, comme la lastSlide)
     if (activePanel.classList.contains('is-first')) return;
 
@@ -347,16 +418,24 @@ export class SliderManager {
    * Place la slide de fin à la fin
    */
   setupSliderOrder() {
-    const sorted = this.sortItemsByOrder(this.sliderItems);
     const sliderList = document.querySelector(CONFIG.SELECTORS.SLIDER_LIST);
+    // Toutes les slides du DOM, masquées par le filtre comprises : l'ordre reste juste une fois le filtre levé
+    const sorted = this.sortItemsByOrder(
+      Array.from(sliderList.querySelectorAll(CONFIG.SELECTORS.SLIDER_ITEM)).filter(item => !item.classList.contains('is-last'))
+    );
+    const shown = new Set(this.sliderItems);
     
     // Ajoute chaque slide triée au container
     sorted.forEach((item) => sliderList.appendChild(item));
+    // Slides affichées dans l'ordre du DOM (triggers d'activation, indicateur)
+    this.sliderItems = sorted.filter(item => shown.has(item));
+    this.slides = this.sliderItems;
     // Ajoute la slide de fin en dernier
     sliderList.appendChild(this.lastSlide);
     // Ajoute la slide de début en premier et ajoute les data-attributes nécessaire
+    const firstContent = this.sliderItems.find(item => item !== this.firstSlide) || sorted[0];
     this.firstSlide.dataset.sliderOrder = 0;
-    this.firstSlide.dataset.sliderCategory = sorted[0].dataset.sliderCategory;
+    this.firstSlide.dataset.sliderCategory = firstContent.dataset.sliderCategory;
     sliderList.prepend(this.firstSlide);
   }
 
@@ -374,49 +453,55 @@ export class SliderManager {
       allInteractiveSlides.unshift(this.firstSlide); // Ajoute la première slide au début
     }
     
-    allInteractiveSlides.forEach((item) => {
-      // Configuration adaptée selon l'orientation
-      const triggerConfig = isHorizontal ? {
-        trigger: item,
-        start: "left 25%",               // Mode horizontal
-        end: "right 25%",
-        horizontal: true,
-        toggleClass: {
-          targets: item,
-          className: "is-active-panel",
-        },
-        onEnter: () => {
-          this.makeCategoryActive(item);
-          this.updateIndicatorBall(item);
-        },
-        onEnterBack: () => {
-          this.makeCategoryActive(item);
-          this.updateIndicatorBall(item);
-        },
-      } : {
-        trigger: item,
-        start: "top 25%",                // Mode vertical
-        end: "bottom 25%",
-        horizontal: false,               // Mode vertical
-        toggleClass: {
-          targets: item,
-          className: "is-active-panel",
-        },
-        onEnter: () => {
-          this.makeCategoryActive(item);
-          this.updateIndicatorBall(item);
-        },
-        onEnterBack: () => {
-          this.makeCategoryActive(item);
-          this.updateIndicatorBall(item);
-        },
-      };
+    allInteractiveSlides.forEach((item) => this.createActivationTrigger(item, isHorizontal));
+  }
 
-      // Crée un trigger ScrollTrigger pour chaque slide
-      // OPTIMISATION: Stocker la référence pour un nettoyage efficace
-      const trigger = ScrollTrigger.create(triggerConfig);
-      this.scrollTriggers.add(trigger);
-    });
+  /**
+   * Crée le trigger d'activation d'une slide (classe is-active-panel, catégorie, indicateur)
+   * @param {HTMLElement} item - La slide
+   * @param {boolean} isHorizontal - Orientation courante
+   */
+  createActivationTrigger(item, isHorizontal) {
+    // Configuration adaptée selon l'orientation
+    const triggerConfig = isHorizontal ? {
+      trigger: item,
+      start: "left 25%",               // Mode horizontal
+      end: "right 25%",
+      horizontal: true,
+      toggleClass: {
+        targets: item,
+        className: "is-active-panel",
+      },
+      onEnter: () => this.handleSlideActivation(item),
+      onEnterBack: () => this.handleSlideActivation(item),
+    } : {
+      trigger: item,
+      start: "top 25%",                // Mode vertical
+      end: "bottom 25%",
+      horizontal: false,               // Mode vertical
+      toggleClass: {
+        targets: item,
+        className: "is-active-panel",
+      },
+      onEnter: () => this.handleSlideActivation(item),
+      onEnterBack: () => this.handleSlideActivation(item),
+    };
+
+    // Crée un trigger ScrollTrigger pour la slide
+    // OPTIMISATION: Stocker la référence pour un nettoyage efficace
+    const trigger = ScrollTrigger.create(triggerConfig);
+    this._trackTrigger(item, trigger);
+    this.slideTriggers.set(item, trigger);
+  }
+
+  /**
+   * Slide devenue active au scroll : catégorie, indicateur et événement public
+   * @param {HTMLElement} item - La slide activée
+   */
+  handleSlideActivation(item) {
+    this.makeCategoryActive(item);
+    this.updateIndicatorBall(item);
+    this._setActiveIndex(this.getInteractiveSlides().indexOf(item));
   }
 
   /**
@@ -428,6 +513,7 @@ export class SliderManager {
     const isHorizontal = this.currentOrientation === 'horizontal';
     this.getInteractiveSlides().forEach(item => this.createAnimationsForItem(item, isHorizontal));
     this.setupIndicatorBall();
+    this.indicator.render();
   }
 
   /**
@@ -435,12 +521,17 @@ export class SliderManager {
    * @param {HTMLElement} item - La slide à animer
    */
   createAnimationsForItem(item, isHorizontal) {
+    // Effets déclarés par la slide (data-slider-effect), dans les deux orientations
+    const effects = createSlideEffects(item, { isHorizontal });
+    if (effects.length) this.effectAnimations.set(item, effects);
+    effects.forEach(animation => this._trackTrigger(item, animation.scrollTrigger));
+
     if (!isHorizontal) {
       // Mode vertical : pas d'animation de translation (design original)
       return;
     }
     // Timeline de fond + snap
-    gsap.timeline({
+    const snapTimeline = gsap.timeline({
       scrollTrigger: {
         trigger: item,
         start: 'left right',
@@ -451,7 +542,7 @@ export class SliderManager {
       }
     });
     // Translation
-    gsap.fromTo(item,{xPercent:0,yPercent:0},{
+    const translation = gsap.fromTo(item,{xPercent:0,yPercent:0},{
       xPercent:100,
       ease:'none',
       scrollTrigger:{
@@ -462,6 +553,9 @@ export class SliderManager {
         horizontal:true
       }
     });
+    // Suivis pour être détruits par destroyScrollTriggers() (reconstruction, filtre)
+    this._trackTrigger(item, snapTimeline.scrollTrigger);
+    this._trackTrigger(item, translation.scrollTrigger);
   }
 
   /**
@@ -497,7 +591,7 @@ export class SliderManager {
    */
   createLightweightHorizontalAnimations(item) {
     // Animation de déplacement simplifiée (sans snap coûteux)
-    gsap.fromTo(
+    const translation = gsap.fromTo(
       item,
       { xPercent: 0, yPercent: 0 },
       {
@@ -513,6 +607,7 @@ export class SliderManager {
         },
       }
     );
+    this._trackTrigger(item, translation.scrollTrigger);
   }
 
   /**
@@ -536,7 +631,7 @@ export class SliderManager {
     }
     
     allInteractiveSlides.forEach((item) => {
-      ScrollTrigger.create({
+      const trigger = ScrollTrigger.create({
         trigger: item,
         start: isHorizontal ? "left 25%" : "top 25%",
         end: isHorizontal ? "right 25%" : "bottom 25%",
@@ -546,15 +641,11 @@ export class SliderManager {
           className: "is-active-panel",
         },
         // PAS d'animations coûteuses en mode dégradé
-        onEnter: () => {
-          this.makeCategoryActive(item);
-          this.updateIndicatorBall(item);
-        },
-        onEnterBack: () => {
-          this.makeCategoryActive(item);
-          this.updateIndicatorBall(item);
-        },
+        onEnter: () => this.handleSlideActivation(item),
+        onEnterBack: () => this.handleSlideActivation(item),
       });
+      this._trackTrigger(item, trigger);
+      this.slideTriggers.set(item, trigger);
     });
   }
 
@@ -684,21 +775,203 @@ export class SliderManager {
    * OPTIMISATION: Utilise les références stockées au lieu de parcourir tous les triggers
    */
   destroyScrollTriggers() {
+    // Remet les cibles des effets dans leur état d'origine (le changement d'orientation change d'axe)
+    this._revertEffects();
     this.scrollTriggers.forEach(trigger => {
       if (trigger && !trigger.killed) {
         trigger.kill();
       }
     });
     this.scrollTriggers.clear();
+    this.slideTriggers.clear();
+    this.itemTriggers.clear();
     logger.debug(`🧹 SliderManager: ${this.scrollTriggers.size} ScrollTriggers détruits`);
   }
 
+  /**
+   * Détruit les triggers et effets d'une seule slide (slide retirée du DOM)
+   * @param {HTMLElement} item
+   */
+  releaseItem(item) {
+    this.effectAnimations.get(item)?.forEach(animation => animation.revert());
+    this.effectAnimations.delete(item);
+    (this.itemTriggers.get(item) || []).forEach(trigger => {
+      trigger.kill();
+      this.scrollTriggers.delete(trigger);
+    });
+    this.itemTriggers.delete(item);
+    this.slideTriggers.delete(item);
+  }
+
+  _trackTrigger(item, trigger) {
+    if (!trigger) return;
+    this.scrollTriggers.add(trigger);
+    if (!this.itemTriggers.has(item)) this.itemTriggers.set(item, []);
+    this.itemTriggers.get(item).push(trigger);
+  }
+
+  _revertEffects() {
+    this.effectAnimations.forEach(animations => animations.forEach(animation => animation.revert()));
+    this.effectAnimations.clear();
+  }
+
+
   getInteractiveSlides() {
     const arr = [...this.sliderItems];
     if (this.firstSlide && !arr.includes(this.firstSlide)) arr.unshift(this.firstSlide);
     return arr;
   }
 
+  // ==========================================
+  // NAVIGATION (API publique, clavier, catégories)
+  // ==========================================
+
+  /**
+   * Active la navigation clavier et le clic sur les catégories (voir CONFIG.SLIDER_NAV)
+   */
+  setupNavigation() {
+    const { KEYBOARD, CLICKABLE_CATEGORIES } = CONFIG.SLIDER_NAV;
+    if (KEYBOARD) document.addEventListener('keydown', this._onKeyDown);
+    if (!CLICKABLE_CATEGORIES) return;
+    this.categoriesItems.forEach(category => {
+      if (!category.matches('a, button')) {
+        category.setAttribute('role', 'button');
+        if (!category.hasAttribute('tabindex')) category.tabIndex = 0;
+      }
+      category.addEventListener('click', this._onCategoryActivate);
+      category.addEventListener('keydown', this._onCategoryActivate);
+    });
+  }
+
+  /** Slide suivante */
+  next(options) { return this.goTo(this.activeIndex + 1, options); }
+
+  /** Slide précédente */
+  prev(options) { return this.goTo(this.activeIndex - 1, options); }
+
+  /**
+   * Fait défiler jusqu'à une slide, alignée sur un point de snap
+   * @param {number} index - Index dans getInteractiveSlides() (slide d'intro = 0), borné aux slides existantes
+   * @param {Object} options - { immediate, duration }
+   * @returns {Promise<boolean>} Résout à la fin du défilement (false si aucune slide, ou si le
+   *   défilement est remplacé par un autre ou interrompu)
+   */
+  goTo(index, { immediate = false, duration = CONFIG.SLIDER_NAV.DURATION } = {}) {
+    const slides = this.getInteractiveSlides();
+    if (!slides.length) return Promise.resolve(false);
+    const slide = slides[Math.min(slides.length - 1, Math.max(0, index))];
+    return this._scrollToSlide(slide, { immediate, duration });
+  }
+
+  /**
+   * Fait défiler jusqu'à la première slide d'une catégorie (hors slide d'intro)
+   * @param {string} slug - data-slider-category / data-category-slug
+   * @param {Object} options - Voir goTo()
+   * @returns {Promise<boolean>}
+   */
+  goToCategory(slug, options) {
+    const index = this.getInteractiveSlides().findIndex(
+      slide => slide.dataset.sliderCategory === slug && !slide.classList.contains('is-first')
+    );
+    if (index === -1) {
+      logger.warn(` SliderManager: catégorie "${slug}" introuvable`);
+      return Promise.resolve(false);
+    }
+    return this.goTo(index, options);
+  }
+
+  /** Slide active (null avant la première activation) */
+  getActiveSlide() { return this.getInteractiveSlides()[this.activeIndex] || null; }
+
+  /**
+   * Position de scroll où la slide est alignée (bord gauche ou haut de l'écran)
+   * Déduite du trigger d'activation, mesuré par ScrollTrigger hors transformations
+   * @param {HTMLElement} slide
+   * @returns {number|null} null sans trigger (scroll natif mobile)
+   */
+  getSlideScrollPosition(slide) {
+    const trigger = this.slideTriggers.get(slide);
+    if (!trigger) return null;
+    const isHorizontal = this.currentOrientation === 'horizontal';
+    const viewport = isHorizontal ? window.innerWidth : window.innerHeight;
+    return Math.round(trigger.start + viewport * ACTIVE_LINE);
+  }
+
+  _scrollToSlide(slide, { immediate, duration }) {
+    // Un nouveau défilement remplace le précédent : sa promesse est réglée (false)
+    this._pendingScroll?.(false);
+    const position = this.getSlideScrollPosition(slide);
+    const lenis = this.app?.smoothScrollManager?.lenis;
+    return new Promise(resolve => {
+      if (position === null) {
+        slide.scrollIntoView({ behavior: immediate ? 'auto' : 'smooth', block: 'start', inline: 'start' });
+        resolve(true);
+      } else if (lenis && immediate) {
+        lenis.scrollTo(position, { immediate, lock: true });
+        resolve(true);
+      } else if (lenis) {
+        // onComplete ne vient pas si le défilement est remplacé ou stoppé : délai de garde
+        const settle = (completed) => {
+          if (this._pendingScroll !== settle) return;
+          clearTimeout(timer);
+          this._pendingScroll = null;
+          resolve(completed);
+        };
+        const timer = setTimeout(() => settle(false), duration * 1000 + SCROLL_SETTLE_MARGIN);
+        this._pendingScroll = settle;
+        lenis.scrollTo(position, { duration, lock: true, onComplete: () => settle(true) });
+      } else {
+        const axis = this.currentOrientation === 'horizontal' ? 'left' : 'top';
+        window.scrollTo({ [axis]: position, behavior: immediate ? 'auto' : 'smooth' });
+        resolve(true);
+      }
+    });
+  }
+
+  _setActiveIndex(index) {
+    const slides = this.getInteractiveSlides();
+    if (index < 0 || index >= slides.length || index === this.activeIndex) return;
+    const previousIndex = this.activeIndex;
+    const previousCategory = slides[previousIndex]?.dataset.sliderCategory || null;
+    const slide = slides[index];
+    const category = slide.dataset.sliderCategory || null;
+    this.activeIndex = index;
+
+    this.events.emit(SLIDER_EVENTS.SLIDE_CHANGE, { index, previousIndex, slide, category, total: slides.length });
+    if (category !== previousCategory) {
+      this.events.emit(SLIDER_EVENTS.CATEGORY_CHANGE, { index, previousIndex, slide, category, previousCategory, total: slides.length });
+    }
+  }
+
+  _onKeyDown(e) {
+    const step = NAV_KEYS[e.key];
+    if (!step || e.defaultPrevented || e.altKey || e.ctrlKey || e.metaKey || this._isNavigationBlocked(e.target)) return;
+    // Scroll natif (mobile) : pas de trigger d'activation, slide active inconnue → touches laissées au navigateur
+    if (this.isMobileMode || !this.slideTriggers.size) return;
+
+    const slides = this.getInteractiveSlides();
+    const target = step === 'first' ? 0 : step === 'last' ? slides.length - 1 : this.activeIndex + step;
+    const index = Math.min(slides.length - 1, Math.max(0, target));
+    // Déjà sur la slide visée (début ou fin atteints) : défilement natif conservé
+    if (!slides.length || index === this.activeIndex) return;
+    e.preventDefault();
+    this.goTo(index);
+  }
+
+  // Clavier réservé au menu, aux modales et aux champs de saisie quand ils sont actifs
+  _isNavigationBlocked(target) {
+    if (target?.closest?.(CONFIG.SLIDER_NAV.IGNORE_SELECTOR)) return true;
+    const menuOpen = this.app?.menuManager?.menu?.classList.contains('is-active');
+    const modalOpen = this.app?.modalManager?.isModalOpen?.() || document.querySelector('.vv-image-modal-open');
+    return Boolean(menuOpen || modalOpen);
+  }
+
+  _onCategoryActivate(e) {
+    if (e.type === 'keydown' && e.key !== 'Enter' && e.key !== ' ') return;
+    e.preventDefault();
+    this.goToCategory(e.currentTarget.dataset.categorySlug);
+  }
+
   // ==========================================
   // OPTIMISATIONS MOBILES
   // ==========================================
@@ -716,12 +989,21 @@ export class SliderManager {
     if (!wasMobile && this.isMobileMode) {
       this.disableScrollTriggers();
       this.enableNativeScroll();
+      this.media.disable();
     }
     // Si on passe de mobile à desktop
     else if (wasMobile && !this.isMobileMode) {
       this.enableScrollTriggersMode();
       this.disableNativeScroll();
+      // Slider démarré en scroll natif : l'indicateur n'a jamais été initialisé (sans effet sinon)
+      if (CONFIG.SLIDER_INDICATOR.SEGMENTS) this.indicator.init();
+      this.media.init();
+      this.drag.init();
     }
+
+    // L'axe et la taille de la ligne d'indicateur suivent la mise en page
+    this.indicator.render();
+    this.drag.refresh();
   }
 
   /**
@@ -737,6 +1019,9 @@ export class SliderManager {
   disableScrollTriggers() {
     logger.info('🚫 Désactivation des ScrollTriggers du slider (mode mobile)');
     
+    // Effets data-slider-effect : styles d'origine rendus au scroll natif
+    this._revertEffects();
+
     // Détruire tous les ScrollTriggers du slider
     this.scrollTriggers.forEach(trigger => {
       if (trigger && trigger.kill) {
@@ -744,6 +1029,8 @@ export class SliderManager {
       }
     });
     this.scrollTriggers.clear();
+    this.slideTriggers.clear();
+    this.itemTriggers.clear();
     
     // Arrêter toutes les animations GSAP du slider
     if (this.sliderContainer) {
@@ -880,6 +1167,21 @@ export class SliderManager {
     
     // Nettoyer tous les ScrollTriggers
     this.disableScrollTriggers();
+
+    // Navigation clavier, clic sur les catégories et reflet dans l'URL
+    this.urlSync.destroy();
+    this.autoplay.destroy();
+    this.indicator.destroy();
+    this.filter.destroy();
+    this.media.destroy();
+    this.drag.destroy();
+    this.observer.destroy();
+    document.removeEventListener('keydown', this._onKeyDown);
+    this._pendingScroll?.(false);
+    this.categoriesItems.forEach(category => {
+      category.removeEventListener('click', this._onCategoryActivate);
+      category.removeEventListener('keydown', this._onCategoryActivate);
+    });
     
     // Nettoie l'event listener d'orientation (fallback)
     if (this.removeOrientationListener) {
@@ -0,0 +1,185 @@
+// ==========================================
+// SliderMedia - Cycle de vie des médias des slides (desktop)
+// Les médias [data-fetch-media] d'une slide ne sont chargés que lorsqu'elle
+// est active ou voisine (« chaude ») ; les vidéos sont mises en pause hors
+// de cette fenêtre et déchargées au-delà de CONFIG.SLIDER_MEDIA.UNLOAD_DISTANCE
+// ==========================================
+import { CONFIG } from './config.js';
+import logger from './logger.js';
+import { SLIDER_EVENTS } from './slider-events.js';
+
+// Slides dont les médias sont gérés ici (ignorées par WindowUtils.loadDeferredMedia)
+const MANAGED_ATTRIBUTE = 'data-media-managed';
+
+/**
+ * Réserve les médias des slides dès le démarrage, avant tout appel à loadDeferredMedia() :
+ * le SliderManager n'est créé qu'à l'approche du slider (IntersectionObserver)
+ * @returns {number} Nombre de slides réservées
+ */
+export function claimSliderMedia() {
+  if (!CONFIG.SLIDER_MEDIA.ENABLED) return 0;
+  const slides = document.querySelectorAll(CONFIG.SELECTORS.SLIDER_ITEM);
+  slides.forEach(slide => slide.setAttribute(MANAGED_ATTRIBUTE, ''));
+  return slides.length;
+}
+
+/**
+ * Libère les slides réservées et charge leurs médias en bloc (slider désactivé ou en échec)
+ */
+export function releaseSliderMedia() {
+  document.querySelectorAll(`[${MANAGED_ATTRIBUTE}]`).forEach(slide => slide.removeAttribute(MANAGED_ATTRIBUTE));
+  window.WindowUtils?.loadDeferredMedia?.();
+}
+
+export class SliderMedia {
+  constructor(sliderManager) {
+    this.slider = sliderManager;
+    this.options = CONFIG.SLIDER_MEDIA;
+    this.isActive = false;
+    this.hotSlides = new Set();
+    this._loadedSlides = new WeakSet();
+    this._unsubscribe = null;
+  }
+
+  /**
+   * Prend en charge les médias des slides : WindowUtils.loadDeferredMedia() ignore
+   * désormais tout élément placé sous [data-media-managed]
+   */
+  init() {
+    if (!this.options.ENABLED || this.isActive) return;
+    this.isActive = true;
+    this._unsubscribe = this.slider.events.on(SLIDER_EVENTS.SLIDE_CHANGE, ({ index }) => this.update(index));
+    this.refresh();
+  }
+
+  /**
+   * Prend en charge les slides ajoutées depuis (chargement CMS) et recalcule les slides chaudes
+   */
+  refresh() {
+    if (!this.isActive) return;
+    this._getSlides().forEach(slide => slide.setAttribute(MANAGED_ATTRIBUTE, ''));
+    this.update(Math.max(0, this.slider.activeIndex));
+  }
+
+  /**
+   * Recalcule les slides chaudes autour de la slide active
+   * @param {number} activeIndex - Index dans getInteractiveSlides()
+   */
+  update(activeIndex = this.slider.activeIndex) {
+    if (!this.isActive) return;
+    const slides = this._getSlides();
+    const { NEIGHBOURS, UNLOAD_DISTANCE } = this.options;
+    const managed = new Set(slides);
+    this.hotSlides.clear();
+
+    slides.forEach((slide, index) => {
+      const distance = Math.abs(index - activeIndex);
+      if (distance <= NEIGHBOURS) {
+        this.hotSlides.add(slide);
+        this.loadSlide(slide);
+        this._playVideos(slide);
+      } else {
+        this._pauseVideos(slide);
+        if (distance > UNLOAD_DISTANCE) this._unloadVideos(slide);
+      }
+    });
+
+    // Slides écartées par le filtre : hors de la séquence, donc froides
+    document.querySelectorAll(`[${MANAGED_ATTRIBUTE}]`).forEach(slide => {
+      if (managed.has(slide)) return;
+      this._pauseVideos(slide);
+      this._unloadVideos(slide);
+    });
+  }
+
+  /**
+   * Charge les médias différés d'une slide (data-fetch-media → src)
+   * @param {HTMLElement} slide
+   */
+  loadSlide(slide) {
+    const pending = slide.querySelectorAll('[data-fetch-media]');
+    if (!pending.length) {
+      this._loadedSlides.add(slide);
+      return;
+    }
+    const videos = new Set();
+    pending.forEach(element => {
+      const mediaUrl = element.dataset.fetchMedia;
+      if (!mediaUrl) return;
+      element.src = mediaUrl;
+      element.removeAttribute('data-fetch-media');
+      const video = element.closest('video');
+      if (video) videos.add(video);
+    });
+    // Une <source> modifiée n'est prise en compte qu'après load()
+    videos.forEach(video => video.load());
+    this._loadedSlides.add(slide);
+  }
+
+  _playVideos(slide) {
+    slide.querySelectorAll('video').forEach(video => {
+      if (video.autoplay && video.paused) video.play()?.catch?.(() => {});
+    });
+  }
+
+  _pauseVideos(slide) {
+    slide.querySelectorAll('video').forEach(video => {
+      if (!video.paused) video.pause();
+    });
+  }
+
+  // Libère le décodeur et le tampon : src → data-fetch-media, rechargée quand la slide redevient chaude
+  _unloadVideos(slide) {
+    let unloaded = false;
+    slide.querySelectorAll('video').forEach(video => {
+      const sources = [video, ...video.querySelectorAll('source')].filter(element => element.getAttribute('src'));
+      if (!sources.length) return;
+      sources.forEach(element => {
+        element.dataset.fetchMedia = element.getAttribute('src');
+        element.removeAttribute('src');
+      });
+      video.load();
+      unloaded = true;
+    });
+    if (unloaded) this._loadedSlides.delete(slide);
+  }
+
+  // Slides dans l'ordre du slider (intro comprise) puis la slide de fin
+  _getSlides() {
+    const slides = this.slider.getInteractiveSlides();
+    if (this.slider.lastSlide) slides.push(this.slider.lastSlide);
+    return slides;
+  }
+
+  /**
+   * État pour les outils de debug (DebugUtils.checkSliderMedia)
+   * @returns {{hot: number, loaded: number, total: number, playing: number}}
+   */
+  stats() {
+    const slides = this._getSlides();
+    return {
+      hot: this.hotSlides.size,
+      loaded: slides.filter(slide => this._loadedSlides.has(slide)).length,
+      total: slides.length,
+      playing: slides.reduce((count, slide) => count + Array.from(slide.querySelectorAll('video')).filter(video => !video.paused).length, 0)
+    };
+  }
+
+  /**
+   * Rend la main (passage en scroll natif mobile) : tous les médias sont chargés
+   */
+  disable() {
+    if (!this.isActive) return;
+    this.destroy();
+    releaseSliderMedia();
+    logger.debug('🎞️ SliderMedia: médias du slider chargés en bloc (gestion désactivée)');
+  }
+
+  destroy() {
+    this._unsubscribe?.();
+    this._unsubscribe = null;
+    document.querySelectorAll(`[${MANAGED_ATTRIBUTE}]`).forEach(slide => slide.removeAttribute(MANAGED_ATTRIBUTE));
+    this.hotSlides.clear();
+    this.isActive = false;
+  }
+}
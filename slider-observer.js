@@ -0,0 +1,128 @@
+// ==========================================
+// SliderObserver - Mise à jour incrémentale du slider
+// Les .slider-panel_item ajoutés ou retirés après l'init (Finsweet, chargements
+// CMS) sont détectés par un MutationObserver : ordre, triggers des seules slides
+// concernées, catégories, indicateur et médias sont mis à jour sans ramener
+// l'utilisateur au début du slider
+// ==========================================
+import { CONFIG } from './config.js';
+import logger from './logger.js';
+import { SLIDER_EVENTS } from './slider-events.js';
+
+export class SliderObserver {
+  constructor(sliderManager) {
+    this.slider = sliderManager;
+    this.options = CONFIG.SLIDER_OBSERVER;
+    this._observer = null;
+    this._known = new Set();   // Slides connues, filtrées comprises
+    this._timer = null;
+  }
+
+  init() {
+    const container = this.slider.sliderContainer;
+    if (!this.options.ENABLED || !container || this._observer || typeof MutationObserver === 'undefined') return;
+    this._known = new Set(this._getDomItems());
+    this._observer = new MutationObserver(records => {
+      if (records.some(record => this._touchesSlides(record))) this._schedule();
+    });
+    this._observer.observe(container, { childList: true, subtree: true });
+  }
+
+  // Ajout ou retrait d'une slide (ou d'un bloc qui en contient)
+  _touchesSlides(record) {
+    const selector = CONFIG.SELECTORS.SLIDER_ITEM;
+    return [...record.addedNodes, ...record.removedNodes].some(node =>
+      node.nodeType === Node.ELEMENT_NODE && (node.matches(selector) || node.querySelector(selector))
+    );
+  }
+
+  _schedule() {
+    clearTimeout(this._timer);
+    this._timer = setTimeout(() => this.refresh(), this.options.DEBOUNCE);
+  }
+
+  /**
+   * Intègre les slides ajoutées et libère les slides retirées depuis le dernier passage
+   * @returns {{added: HTMLElement[], removed: HTMLElement[]}}
+   */
+  refresh() {
+    clearTimeout(this._timer);
+    const slider = this.slider;
+    const current = this._getDomItems();
+    const currentSet = new Set(current);
+    const added = current.filter(item => !this._known.has(item));
+    const removed = [...this._known].filter(item => !currentSet.has(item));
+    this._known = currentSet;
+    if (!added.length && !removed.length) return { added, removed };
+
+    // Slide active gardée comme repère du scroll
+    const anchor = slider.getActiveSlide();
+    const anchorIndex = slider.activeIndex;
+    const anchorPosition = anchor ? slider.getSlideScrollPosition(anchor) : null;
+
+    removed.forEach(item => slider.releaseItem(item));
+    const shown = slider.filter.applyToItems(added);
+    slider.sliderItems = slider.sliderItems.filter(item => currentSet.has(item)).concat(shown);
+    slider.slides = slider.sliderItems;
+
+    // Tags des nouvelles slides, puis ordre (déplacements ignorés par l'observer)
+    slider.handleDynamicTagInsertion();
+    slider.setupSliderOrder();
+    this._observer?.takeRecords();
+
+    if (slider.isInitialized && !slider.isMobileMode) {
+      const isHorizontal = slider.currentOrientation === 'horizontal';
+      shown.forEach(item => {
+        slider.createAnimationsForItem(item, isHorizontal);
+        slider.createActivationTrigger(item, isHorizontal);
+      });
+      // Triggers recréés dans l'ordre du DOM, puis positions recalculées pour toutes les slides
+      ScrollTrigger.sort?.();
+      ScrollTrigger.refresh();
+    }
+
+    slider.categoriesItems = gsap.utils.toArray(CONFIG.SELECTORS.CATEGORIES);
+    if (slider.isInitialized) slider.setupNavigation();
+    if (slider.filter.isActive) slider.filter.syncCategories();
+    slider.indicator.render();
+    slider.media.refresh();
+    this._restorePosition(anchor, anchorIndex, anchorPosition);
+
+    logger.slider(` Slider mis à jour : +${shown.length} / -${removed.length} slide(s)`);
+    slider.events.emit(SLIDER_EVENTS.SLIDES_CHANGE, {
+      added: shown,
+      removed,
+      total: slider.getInteractiveSlides().length
+    });
+    return { added: shown, removed };
+  }
+
+  // Garde la slide active à l'écran ; si elle a disparu, reste au même rang
+  _restorePosition(anchor, anchorIndex, anchorPosition) {
+    const slider = this.slider;
+    const slides = slider.getInteractiveSlides();
+    const index = anchor ? slides.indexOf(anchor) : -1;
+    if (index !== -1) {
+      // Index mis à jour sans événement : la slide active n'a pas changé
+      slider.activeIndex = index;
+      const position = slider.getSlideScrollPosition(anchor);
+      if (position !== null && position !== anchorPosition) slider.goTo(index, { immediate: true });
+    } else if (anchorIndex !== -1 && slides.length) {
+      slider.activeIndex = -1;
+      slider.goTo(Math.min(anchorIndex, slides.length - 1), { immediate: true });
+    }
+  }
+
+  // Slides présentes dans le slider (hors .is-last), masquées par le filtre comprises
+  _getDomItems() {
+    return Array.from(this.slider.sliderContainer.querySelectorAll(CONFIG.SELECTORS.SLIDER_ITEM))
+      .filter(item => !item.classList.contains('is-last'));
+  }
+
+  destroy() {
+    clearTimeout(this._timer);
+    this._observer?.disconnect();
+    this._observer = null;
+    this._known.clear();
+  }
+}
@@ -0,0 +1,110 @@
+// ==========================================
+// SliderUrlSync - Reflet de la slide active dans l'URL (opt-in)
+// ?slide=<slug|ordre>&category=<catégorie> réécrit sans créer d'historique ;
+// au chargement, la position demandée est restaurée une fois le loader
+// terminé au lieu de repartir de la première slide
+// ==========================================
+import { CONFIG } from './config.js';
+import logger from './logger.js';
+import { SLIDER_EVENTS } from './slider-events.js';
+
+export class SliderUrlSync {
+  constructor(sliderManager) {
+    this.slider = sliderManager;
+    this.options = CONFIG.SLIDER_URL;
+    this._target = null;        // Position demandée par l'URL au chargement
+    this._isRestoring = true;   // URL laissée intacte tant que cette position n'est pas restaurée
+    this._writeTimer = null;
+    this._unsubscribe = null;
+  }
+
+  init() {
+    if (!this.options.ENABLED || this._unsubscribe) return;
+    this._target = this.read();
+    this._unsubscribe = this.slider.events.on(SLIDER_EVENTS.SLIDE_CHANGE, ({ slide }) => this._scheduleWrite(slide));
+  }
+
+  /**
+   * Position demandée par l'URL courante
+   * @returns {{slide: string|null, category: string|null}|null}
+   */
+  read() {
+    const params = new URLSearchParams(window.location.search);
+    const slide = params.get(this.options.SLIDE_PARAM);
+    const category = params.get(this.options.CATEGORY_PARAM);
+    return slide || category ? { slide, category } : null;
+  }
+
+  /**
+   * Restaure la slide (ou à défaut la catégorie) demandée par l'URL
+   * @param {Promise} ready - Fin de l'animation de chargement (LoaderManager.whenComplete())
+   * @returns {Promise<boolean>} true si une position a été restaurée
+   */
+  async restoreAfter(ready = Promise.resolve()) {
+    if (!this.options.ENABLED) return false;
+    await ready;
+    const target = this._target;
+    this._target = null;
+    let restored = false;
+    try {
+      if (!target) return false;
+      // Le watchdog de reset ramènerait le scroll à 0 pendant ses dernières vérifications
+      this.slider.app?.smoothScrollManager?.disableResetWatchdog?.();
+      const index = this.findSlideIndex(target.slide);
+      if (index !== -1) {
+        restored = await this.slider.goTo(index, { immediate: true });
+      } else if (target.category) {
+        restored = await this.slider.goToCategory(target.category, { immediate: true });
+      }
+      if (!restored) logger.warn(` SliderUrlSync: position "${target.slide || target.category}" introuvable`);
+      return restored;
+    } finally {
+      this._isRestoring = false;
+      // Lien invalide : remplacer par la position réelle
+      if (target && !restored) this.write(this.slider.getActiveSlide());
+    }
+  }
+
+  /**
+   * Index d'une slide par son slug (SLUG_ATTRIBUTE) ou son data-slider-order
+   * @param {string|null} value
+   * @returns {number} -1 si introuvable
+   */
+  findSlideIndex(value) {
+    if (!value) return -1;
+    return this.slider.getInteractiveSlides().findIndex(slide => (
+      slide.getAttribute(this.options.SLUG_ATTRIBUTE) === value || slide.dataset.sliderOrder === value
+    ));
+  }
+
+  /**
+   * Reflète une slide dans l'URL (paramètres retirés sur la première slide)
+   * @param {HTMLElement|null} slide
+   */
+  write(slide) {
+    const { SLIDE_PARAM, CATEGORY_PARAM, SLUG_ATTRIBUTE } = this.options;
+    const url = new URL(window.location.href);
+    if (!slide || slide === this.slider.getInteractiveSlides()[0]) {
+      url.searchParams.delete(SLIDE_PARAM);
+      url.searchParams.delete(CATEGORY_PARAM);
+    } else {
+      url.searchParams.set(SLIDE_PARAM, slide.getAttribute(SLUG_ATTRIBUTE) || slide.dataset.sliderOrder);
+      if (slide.dataset.sliderCategory) url.searchParams.set(CATEGORY_PARAM, slide.dataset.sliderCategory);
+      else url.searchParams.delete(CATEGORY_PARAM);
+    }
+    // replaceState : pas d'entrée d'historique par slide, état du menu conservé
+    if (url.href !== window.location.href) history.replaceState(history.state, '', url.href);
+  }
+
+  _scheduleWrite(slide) {
+    if (this._isRestoring) return;
+    clearTimeout(this._writeTimer);
+    this._writeTimer = setTimeout(() => this.write(slide), this.options.WRITE_DELAY);
+  }
+
+  destroy() {
+    clearTimeout(this._writeTimer);
+    this._unsubscribe?.();
+    this._unsubscribe = null;
+  }
+}
@@ -212,15 +212,21 @@ export class SmoothScrollManager {
   /**
    * Active le scroll pour un élément menu_panel_item spécifique
    * @param {HTMLElement} element - L'élément menu_panel_item
+   * @returns {Lenis|null} Instance du panel (réutilisée si déjà créée)
    */
   enableMenuScroll(element) {
-    if (!element) return;
+    if (!element) return null;
     
-    const elementId = element.dataset.parent || element.dataset.name || 'default';
+    const elementId = this._menuScrollId(element);
     
     // Trouve l'élément scrollable (menu_panel_item_middle)
     const scrollableContent = element.querySelector('.menu_panel_item_middle');
-    if (!scrollableContent) return;
+    if (!scrollableContent) return null;
+
+    // Même panel : instance conservée ; autre panel sous le même identifiant : remplacée
+    const existing = this.menuScrollInstances.get(elementId);
+    if (existing?.options.wrapper === scrollableContent) return existing;
+    existing?.destroy();
     
     // Crée une nouvelle instance Lenis pour cet élément
     const lenisInstance = new Lenis({
@@ -231,13 +237,33 @@ export class SmoothScrollManager {
     
     // Stocke l'instance
     this.menuScrollInstances.set(elementId, lenisInstance);
+    return lenisInstance;
+  }
+
+  /**
+   * Instance Lenis d'un élément menu_panel_item (ex : suspendue pendant un swipe de fermeture)
+   * @param {HTMLElement} element - L'élément menu_panel_item
+   * @returns {Lenis|null}
+   */
+  getMenuScroll(element) {
+    if (!element) return null;
+    const instance = this.menuScrollInstances.get(this._menuScrollId(element));
+    return instance && element.contains(instance.options.wrapper) ? instance : null;
+  }
+
+  _menuScrollId(element) {
+    return element.dataset.parent || element.dataset.name || 'default';
   }
 
   /**
    * Désactive le scroll pour un élément menu_panel_item spécifique
-   * @param {string} elementId - L'identifiant de l'élément (data-parent)
+   * @param {string|HTMLElement} elementId - L'identifiant de l'élément (data-parent) ou l'élément
    */
   disableMenuScroll(elementId) {
+    if (elementId instanceof HTMLElement) {
+      if (!this.getMenuScroll(elementId)) return;
+      elementId = this._menuScrollId(elementId);
+    }
     const instance = this.menuScrollInstances.get(elementId);
     if (instance) {
       instance.destroy();
@@ -0,0 +1,25 @@
+// ==========================================
+// Utilitaires de texte partagés (recherche du menu, filtre du slider)
+// ==========================================
+
+const FOLD_SPECIAL = { 'œ': 'oe', 'Œ': 'oe', 'æ': 'ae', 'Æ': 'ae', 'ß': 'ss', '’': "'" };
+
+/**
+ * Forme de comparaison d'un caractère (peut en donner plusieurs : « œ » → « oe »)
+ * @param {string} c
+ * @returns {string}
+ */
+export const foldChar = (c) => FOLD_SPECIAL[c] ?? c.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+/**
+ * Forme de comparaison : minuscules, sans accents ni ligatures (« Élève » → « eleve »)
+ * @param {string} text
+ * @returns {string}
+ */
+export function foldText(text = '') {
+  return text
+    .replace(/[œŒæÆß’]/g, c => FOLD_SPECIAL[c])
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+}
@@ -389,12 +389,13 @@ WindowUtils.setupSliderOrder = function setupSliderOrder() {
 };
 
 // Charge les images/médias différés (data-fetch-media → src)
+// Les slides marquées data-media-managed sont chargées au fil du scroll par SliderMedia
 WindowUtils.loadDeferredMedia = function loadDeferredMedia() {
     const mediaElements = document.querySelectorAll('[data-fetch-media]');
     if (mediaElements.length === 0) return;
     mediaElements.forEach((element) => {
         const mediaUrl = element.dataset.fetchMedia;
-        if (!mediaUrl) return;
+        if (!mediaUrl || element.closest('[data-media-managed]')) return;
         element.src = mediaUrl;
         element.removeAttribute('data-fetch-media');
     });